@@ -0,0 +1,119 @@
+/**
+ * Templately AI FSI Input Fuzzing Tests
+ *
+ * This test suite answers every AI FSI question with adversarial input and
+ * checks that the assistant rejects what it should with the expected message,
+ * and that accepted answers reach the generated site as plain text: never
+ * rendered as markup, never executed and never followed as instructions.
+ *
+ * Test Coverage:
+ * - Malformed emails and phone numbers, blank and oversized answers
+ * - Emoji, RTL text, quotes and SQL fragments kept unchanged
+ * - HTML and script payloads in the chat and the generated pages
+ * - Prompt injection through business details
+ */
+
+const { test, expect } = require('./utils/fixtures');
+const { TemplatelyAuth, TemplatelyNavigation, TemplateManager } = require('./utils/templately-helpers');
+const { FSIPreview } = require('./utils/fsi-helpers');
+const { AIConversation } = require('./utils/ai-helpers');
+const { ContentScorer } = require('./utils/content-scoring');
+const { loadFuzzCases, planRenderBatches, inspectInjection, findRenderProblems } = require('./utils/ai-fuzz');
+
+// Valid answers for every question the case does not fuzz
+const { businessScenarios } = require('./data/test-business-data.json');
+const baseAnswers = businessScenarios[0].data;
+
+const fuzzCases = loadFuzzCases();
+
+test.describe('Templately AI FSI Input Fuzzing Tests', () => {
+  let navigation, templateManager, aiConversation, fsiPreview;
+
+  test.beforeEach(async ({ page, testConfig }) => {
+    const auth = new TemplatelyAuth(page, 'admin', testConfig);
+    navigation = new TemplatelyNavigation(page, testConfig);
+    templateManager = new TemplateManager(page, testConfig);
+    aiConversation = new AIConversation(page, testConfig);
+    fsiPreview = new FSIPreview(page, testConfig);
+
+    await auth.loginToWordPress();
+    await auth.verifyTemplatelyActive();
+    await auth.navigateToTemplately();
+  });
+
+  test.afterEach(async () => {
+    await navigation.closeModals();
+    await aiConversation.transcript.attach(test.info());
+  });
+
+  /**
+   * Open the AI workflow, with the scripted backend's fuzz rules when the AI is mocked
+   */
+  async function startConversation(aiBackend, answers) {
+    if (aiBackend) {
+      aiBackend.useScript('fuzz', answers);
+    }
+
+    await navigation.goToCloudTemplates();
+    await templateManager.selectFirstTemplate();
+    await aiConversation.startAIWorkflow();
+  }
+
+  fuzzCases.filter(entry => entry.expect === 'reject').forEach(entry => {
+    test(`should reject ${entry.id} as the ${entry.field} answer`, async ({ page, aiBackend }) => {
+      test.setTimeout(300000); // 5 minutes
+
+      const answers = { ...baseAnswers, [entry.field]: entry.input };
+      await startConversation(aiBackend, answers);
+
+      await expect(aiConversation.completeBusinessInfoWorkflow(answers)).rejects.toThrow(/AI rejected the answer/);
+
+      // The rejection must be for the fuzzed question, with a message that says what is wrong
+      const [rejection] = aiConversation.transcript.byRole('validation-error').slice(-1);
+      expect(aiConversation.transcript.lastAssistantTurn().intent).toBe(entry.field);
+      expect(rejection.answer).toBe(entry.input);
+      expect(rejection.text).toMatch(entry.error);
+
+      // The chat echoes the rejected answer, which must stay text
+      const chat = { title: 'AI chat', url: page.url(), evaluated: await page.evaluate(inspectInjection) };
+      expect(findRenderProblems([], [chat])).toEqual([]);
+
+      console.log(`✅ ${entry.id} rejected: ${rejection.text}`);
+    });
+  });
+
+  planRenderBatches(fuzzCases).forEach(batch => {
+    const ids = batch.cases.map(entry => entry.id);
+
+    test(`should keep accepted adversarial answers inert (${ids.join(', ')})`, async ({ page, aiBackend, testConfig }) => {
+      test.setTimeout(900000); // 15 minutes
+
+      const answers = { ...baseAnswers, ...batch.answers };
+      await startConversation(aiBackend, answers);
+
+      await aiConversation.completeBusinessInfoWorkflow(answers);
+      expect(aiConversation.transcript.byRole('validation-error'), 'Adversarial answers expected to be accepted were rejected').toEqual([]);
+      const chat = { title: 'AI chat', url: page.url(), evaluated: await page.evaluate(inspectInjection) };
+
+      await aiConversation.monitorContentGeneration();
+      await fsiPreview.waitForPreviewLoad();
+
+      // Every generated page, and the admin page hosting the preview
+      const pages = await new ContentScorer(page, testConfig).collectPreviewPages({ evaluate: inspectInjection });
+      const admin = { title: 'Templately', url: page.url(), evaluated: await page.evaluate(inspectInjection) };
+
+      const problems = findRenderProblems(batch.cases, [chat, admin, ...pages]);
+      await test.info().attach('fuzz-render.json', {
+        body: JSON.stringify({
+          cases: ids,
+          pages: pages.map(({ title, url, evaluated }) => ({ title, url, ...evaluated })),
+          problems
+        }, null, 2),
+        contentType: 'application/json'
+      });
+      expect(problems, 'Adversarial answers rendered, executed, altered or obeyed').toEqual([]);
+
+      console.log(`✅ ${ids.length} adversarial answers stayed inert across ${pages.length} generated page(s)`);
+    });
+  });
+});
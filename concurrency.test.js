@@ -0,0 +1,165 @@
+/**
+ * Templately Concurrent Import Tests
+ *
+ * This test suite starts two Full Site Imports of different packs at the same
+ * time from two browser contexts, as happens when several people at an agency
+ * are in wp-admin at once.
+ *
+ * Test Coverage:
+ * - The same admin in two sessions
+ * - Two different administrators
+ * - Second import serialized, blocked or rejected with a clear error
+ * - No interleaving, and only one pack's content left on the site
+ */
+
+const { test, expect } = require('./utils/fixtures');
+const { ensureStorageState } = require('./utils/auth-state');
+const { RoleProvisioner } = require('./utils/role-helpers');
+const { TemplatelyAuth, TemplatelyNavigation, TemplateManager } = require('./utils/templately-helpers');
+const { FSIWorkflow } = require('./utils/fsi-helpers');
+const { installMockCloud } = require('./utils/mock-cloud');
+const { WordPressRestClient, diffManifests } = require('./utils/wp-rest');
+
+// Wording Templately may use when it refuses a second import
+const CONCURRENT_IMPORT_ERROR = /another import|already (running|in progress)|in progress|currently importing|please wait|locked/i;
+
+const sessionPairs = [
+  { name: 'the same admin in two sessions', roles: ['admin', 'admin'] },
+  { name: 'two different administrators', roles: ['admin', 'administrator'] }
+];
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('Templately Concurrent Import Tests', () => {
+  test.beforeAll(async ({ browser }) => {
+    // Second administrator, provisioned from the admin session saved by global setup
+    const context = await browser.newContext();
+    const page = await context.newPage();
+
+    try {
+      await new RoleProvisioner(page).provisionRoleUser('administrator');
+    } finally {
+      await context.close();
+    }
+  });
+
+  sessionPairs.forEach(pair => {
+    test(`should not interleave imports started by ${pair.name}`, async ({ browser, baseURL, mockCloudCatalog, testConfig }) => {
+      test.setTimeout(1200000); // 20 minutes; a serialized second import runs after the first
+
+      const rest = await WordPressRestClient.create(undefined, testConfig);
+      test.skip(!rest, 'Concurrency checks need the application password saved by global setup');
+
+      const sessions = [];
+
+      try {
+        const before = await rest.captureManifest();
+
+        // Two independent browser sessions on the same pack list
+        for (const [index, role] of pair.roles.entries()) {
+          const statePath = await ensureStorageState(browser, baseURL, role);
+          const context = await browser.newContext({ storageState: statePath });
+          if (mockCloudCatalog) {
+            await installMockCloud(context, mockCloudCatalog);
+          }
+
+          const page = await context.newPage();
+          const session = { role, index, context, page, fsiWorkflow: new FSIWorkflow(page, testConfig) };
+          sessions.push(session);
+
+          await new TemplatelyAuth(page, role, testConfig).navigateToTemplately();
+          await new TemplatelyNavigation(page, testConfig).goToCloudTemplates();
+          await new TemplateManager(page, testConfig).searchTemplates('business');
+        }
+
+        // Different packs, started as close together as possible
+        const templateNames = await Promise.all(sessions.map(session => new TemplateManager(session.page, testConfig).selectTemplateAt(session.index)));
+        expect(templateNames[0], 'The two sessions should import different packs').not.toBe(templateNames[1]);
+
+        await Promise.all(sessions.map((session, index) => session.fsiWorkflow.startFSIImport(templateNames[index])));
+        const outcomes = await Promise.all(sessions.map(session => runImport(session)));
+
+        await test.info().attach('concurrent-imports.json', {
+          body: JSON.stringify(outcomes.map((outcome, index) => ({
+            role: sessions[index].role,
+            template: templateNames[index],
+            ...outcome,
+            timeline: sessions[index].fsiWorkflow.timeline
+          })), null, 2),
+          contentType: 'application/json'
+        });
+
+        const completed = outcomes.filter(outcome => outcome.status === 'completed');
+        const refused = outcomes.filter(outcome => outcome.status === 'failed');
+        expect(completed.length, 'At least one import should complete').toBeGreaterThan(0);
+
+        // A refused import must say why, not fail with a generic error
+        refused.forEach(outcome => {
+          expect(outcome.error, 'Second import should be refused with a clear message').toMatch(CONCURRENT_IMPORT_ERROR);
+        });
+
+        const added = diffManifests(before, await rest.captureManifest());
+        const addedTitles = added.pages.map(page => page.title);
+
+        if (completed.length === 1) {
+          // Blocked or rejected: the site holds exactly the pack that completed
+          expect(addedTitles.sort()).toEqual([...completed[0].items.pages].sort());
+
+          if (mockCloudCatalog) {
+            const otherName = templateNames[outcomes.indexOf(refused[0])];
+            const otherPack = mockCloudCatalog.getPackByName(otherName);
+            expect(otherPack, `No fixture pack named "${otherName}"`).toBeTruthy();
+
+            const otherOnly = otherPack.pages.filter(title => !completed[0].items.pages.includes(title));
+            expect(addedTitles.filter(title => otherOnly.includes(title)), 'Pages from the refused pack').toEqual([]);
+          }
+        } else {
+          // Serialized: the two imports must not have been working at the same time
+          const [first, second] = outcomes.map(outcome => outcome.activeWindow).sort((a, b) => a.start - b.start);
+          expect(second.start, 'Second import started working before the first finished').toBeGreaterThanOrEqual(first.end);
+
+          const knownTitles = new Set(outcomes.flatMap(outcome => outcome.items.pages));
+          expect(addedTitles.filter(title => !knownTitles.has(title)), 'Pages neither import reported').toEqual([]);
+        }
+
+        console.log(`✅ Concurrent imports by ${pair.name}: ${completed.length} completed, ${refused.length} refused`);
+      } finally {
+        await rest.dispose();
+        for (const session of sessions) {
+          await session.fsiWorkflow.timeline.attach(test.info());
+          await session.context.close();
+        }
+      }
+    });
+  });
+});
+
+/**
+ * Run one session's import to the end and describe how it finished
+ * The active window spans from the first real progress to the end of the content-import stage.
+ */
+async function runImport(session) {
+  const { fsiWorkflow } = session;
+
+  try {
+    await fsiWorkflow.handleDependencyCheck();
+    await fsiWorkflow.monitorImportProgress();
+  } catch (error) {
+    const errorState = await fsiWorkflow.getImportErrorState().catch(() => ({ message: null }));
+    return { status: 'failed', error: errorState.message || error.message, items: { pages: [], templates: [] } };
+  }
+
+  const timeline = fsiWorkflow.timeline;
+  const importStage = timeline.stages.filter(stage => stage.stage === 'content-import').pop();
+  const firstWork = timeline.events.find(event => event.stage === 'content-import' && event.progress > 0);
+
+  return {
+    status: 'completed',
+    error: null,
+    items: await fsiWorkflow.getImportedItems(),
+    activeWindow: {
+      start: timeline.startedAt + (firstWork ? firstWork.t : importStage.start),
+      end: timeline.startedAt + importStage.end
+    }
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Templately Content Scoring Tests
+ *
+ * This test suite checks the content scorer used by the AI FSI tests on its own,
+ * without a browser: reworded content must still match its concepts, and
+ * unrelated or generic text must not.
+ *
+ * Test Coverage:
+ * - Stemming of inflected and derived words
+ * - Short and unrelated words kept apart by the stemmer
+ * - Synonym groups without generic words or stems shared between groups
+ * - Every English scenario description scoring its own expectedContent
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { scoreContent, loadSynonyms, stem } = require('./utils/content-scoring');
+const { businessScenarios } = require('./data/test-business-data.json');
+
+const synonyms = loadSynonyms();
+
+/**
+ * Whether a concept is found in a single page of text
+ */
+function matches(text, concept) {
+  return scoreContent([{ title: 'Home', url: '/', text }], [concept], { threshold: 1, synonyms }).passed;
+}
+
+test.describe('Templately Content Scoring Tests', () => {
+  test('should stem inflected and derived words to the same stem', () => {
+    expect(stem('transforming')).toBe(stem('transformation'));
+    expect(stem('locally')).toBe(stem('local'));
+    expect(stem('sourced')).toBe(stem('sources'));
+    expect(stem('generously')).toBe('generous');
+  });
+
+  test('should keep unrelated words apart', () => {
+    expect(stem('care')).not.toBe(stem('car'));
+    expect(stem('news')).not.toBe(stem('new'));
+    expect(stem('dining')).not.toBe(stem('dinner'));
+    expect(stem('din')).not.toBe(stem('dining'));
+
+    expect(matches('We care about every patient', 'car')).toBe(false);
+    expect(matches('Latest news from the team', 'new')).toBe(false);
+    expect(matches('Dinner is served from six', 'dining')).toBe(false);
+  });
+
+  test('should not match concepts through generic words', () => {
+    expect(matches('Is it true? Italy has food', 'authentic Italian cuisine')).toBe(false);
+    expect(matches('Real Italian food since 1950', 'authentic Italian cuisine')).toBe(false);
+    expect(matches('Our platform for building apps', 'software development')).toBe(false);
+    expect(matches('Take care of your style', 'fashion treatment')).toBe(false);
+    expect(matches('Fashion for everyone', 'trendy')).toBe(false);
+    expect(matches('Meet our team', 'professional team')).toBe(false);
+    expect(matches('A plan for every person', 'tailored plan')).toBe(false);
+  });
+
+  test('should reject synonym groups that share a stem', () => {
+    const synonymsPath = path.join(os.tmpdir(), `content-synonyms-${process.pid}.json`);
+    fs.writeFileSync(synonymsPath, JSON.stringify({ groups: [['fashion', 'clothing'], ['trendy', 'fashionable']] }));
+    try {
+      expect(() => loadSynonyms({ content: { synonyms: synonymsPath } })).toThrow(/"fashionable" and "fashion"/);
+    } finally {
+      fs.unlinkSync(synonymsPath);
+    }
+  });
+
+  test('should match reworded concepts', () => {
+    expect(matches('Genuine Italian food, cooked daily', 'authentic Italian cuisine')).toBe(true);
+    expect(matches('We are transforming businesses with digital tools', 'digital transformation')).toBe(true);
+    expect(matches('Ingredients sourced locally from nearby farms', 'locally sourced')).toBe(true);
+  });
+
+  businessScenarios.forEach(scenario => {
+    test(`should find the expected content of ${scenario.name} in its description`, () => {
+      const report = scoreContent([{ title: 'Home', url: '/', text: scenario.data.description }], scenario.expectedContent, {
+        threshold: 1,
+        synonyms
+      });
+
+      expect(report.missing).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Templately FSI Interruption Tests
+ *
+ * This test suite interrupts a running Full Site Import the way customers on
+ * flaky connections do, then checks that Templately resumes or recovers and
+ * that WordPress is left without duplicate pages or orphan media.
+ *
+ * Test Coverage:
+ * - Reloading the tab mid-import
+ * - Navigating away mid-import
+ * - Losing the browser context (tab and session) mid-import
+ * - Duplicate pages/templates and orphan media after recovery
+ */
+
+const { test, expect } = require('./utils/fixtures');
+const { TemplatelyAuth, TemplatelyNavigation, TemplateManager } = require('./utils/templately-helpers');
+const { FSIWorkflow } = require('./utils/fsi-helpers');
+const { WordPressRestClient, diffManifests, findImportResidue } = require('./utils/wp-rest');
+const { getConfig } = require('./utils/config');
+
+const { progressPoints, methods } = getConfig().interruption;
+
+test.describe('Templately FSI Interruption Tests', () => {
+  test.describe.configure({ mode: 'serial' });
+
+  methods.split(',').forEach(method => {
+    progressPoints.split(',').map(Number).forEach(point => {
+      test(`should recover when the import is interrupted by ${method} at ${point}%`, async ({ page, browser, installContextRoutes, testConfig }) => {
+        test.setTimeout(900000); // 15 minutes; the import may run twice
+
+        const rest = await WordPressRestClient.create(undefined, testConfig);
+        test.skip(!rest, 'Interruption checks need the application password saved by global setup');
+
+        const fsiWorkflow = new FSIWorkflow(page, testConfig);
+        let activePage = page;
+
+        try {
+          const before = await rest.captureManifest();
+
+          const auth = new TemplatelyAuth(page, 'admin', testConfig);
+          const navigation = new TemplatelyNavigation(page, testConfig);
+          const templateManager = new TemplateManager(page, testConfig);
+
+          await auth.navigateToTemplately();
+          await navigation.goToCloudTemplates();
+          await templateManager.searchTemplates('business');
+          const templateName = await templateManager.selectFirstTemplate();
+
+          await fsiWorkflow.startFSIImport(templateName);
+          await fsiWorkflow.handleDependencyCheck();
+
+          const reached = await fsiWorkflow.waitForImportProgress(point);
+          if (reached === 100) {
+            test.info().annotations.push({ type: 'warning', description: `Import finished before reaching ${point}%` });
+          }
+
+          activePage = await fsiWorkflow.interruptImport(method, browser, installContextRoutes);
+
+          // Come back to Templately the way the customer would
+          await new TemplatelyAuth(activePage, 'admin', testConfig).navigateToTemplately();
+          const recovery = await fsiWorkflow.getImportRecoveryState();
+          console.log(`🩹 Recovery after ${method} at ${reached}%: ${recovery.status}`);
+
+          if (recovery.status === 'in-progress') {
+            await fsiWorkflow.monitorImportProgress();
+          } else if (recovery.status === 'error') {
+            const errorState = await fsiWorkflow.getImportErrorState();
+            expect(errorState.canRetry, `Interrupted import failed without a retry option: ${errorState.message}`).toBe(true);
+            await fsiWorkflow.retryImport();
+            await fsiWorkflow.monitorImportProgress();
+          } else if (recovery.status === 'idle') {
+            // No resume offered: a fresh import of the same pack must still leave a clean site
+            await new TemplatelyNavigation(activePage, testConfig).goToCloudTemplates();
+            const restartManager = new TemplateManager(activePage, testConfig);
+            await restartManager.searchTemplates('business');
+            await restartManager.selectFirstTemplate();
+            await fsiWorkflow.startFSIImport(templateName);
+            await fsiWorkflow.handleDependencyCheck();
+            await fsiWorkflow.monitorImportProgress();
+          }
+
+          const after = await rest.captureManifest();
+          const residue = findImportResidue(before, after);
+          const missingMediaFiles = await rest.findMissingMediaFiles(diffManifests(before, after).media);
+
+          await test.info().attach('interruption-report.json', {
+            body: JSON.stringify({ method, point, reached, recovery, residue, missingMediaFiles }, null, 2),
+            contentType: 'application/json'
+          });
+
+          expect(residue.duplicatePages, 'Pages imported twice').toEqual([]);
+          expect(residue.duplicateTemplates, 'Templates imported twice').toEqual([]);
+          expect(residue.orphanMedia, 'Media attached to posts that no longer exist').toEqual([]);
+          expect(missingMediaFiles, 'Media records without a file').toEqual([]);
+
+          console.log(`✅ Import recovered cleanly from ${method} at ${reached}% (${recovery.status})`);
+        } finally {
+          await fsiWorkflow.timeline.attach(test.info());
+          await rest.dispose();
+          if (activePage !== page) {
+            await activePage.context().close();
+          }
+        }
+      });
+    });
+  });
+});
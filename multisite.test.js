@@ -0,0 +1,101 @@
+/**
+ * Templately Multisite FSI Tests
+ *
+ * This test suite runs the Full Site Import workflow against a throwaway
+ * subsite on the multisite network described in playwright.json.
+ *
+ * Test Coverage:
+ * - Network activation of Templately
+ * - Throwaway subsite creation and reset per run
+ * - FSI import on the subsite
+ * - Isolation of the network's other sites from the import
+ *
+ * Requires WP_MULTISITE=1.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { TemplatelyAuth, TemplatelyNavigation, TemplateManager } = require('./utils/templately-helpers');
+const { FSIWorkflow } = require('./utils/fsi-helpers');
+const { isMultisiteEnabled, getMultisiteEnvironment, MultisiteNetwork } = require('./utils/multisite-helpers');
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('Templately Multisite FSI Tests', () => {
+  test.skip(!isMultisiteEnabled(), 'Set WP_MULTISITE=1 to run against a multisite network');
+
+  const env = getMultisiteEnvironment();
+  let subsite;
+
+  test('should network activate Templately', async ({ page }) => {
+    const network = new MultisiteNetwork(page);
+    await network.networkActivateTemplately();
+
+    await page.goto(`${env.networkUrl}/wp-admin/network/plugins.php`);
+    await expect(page.locator('tr[data-slug="templately"] .deactivate')).toBeVisible();
+  });
+
+  test('should create a fresh test subsite', async ({ page }) => {
+    test.setTimeout(120000); // 2 minutes
+
+    const network = new MultisiteNetwork(page);
+    subsite = await network.resetTestSubsite();
+
+    expect(subsite.blogId).toBeGreaterThan(0);
+    expect(subsite.blogId).not.toBe(env.blogId);
+
+    await network.loginToSite(subsite.siteUrl);
+    await new TemplatelyAuth(page).navigateToTemplately(subsite.siteUrl);
+  });
+
+  test('should import into the subsite without touching other sites', async ({ page }) => {
+    test.setTimeout(900000); // 15 minutes including before/after snapshots
+    test.skip(!subsite, 'Test subsite was not created');
+
+    const network = new MultisiteNetwork(page);
+    const listOtherSites = async () => (await network.listSites()).filter(site => site.blogId !== subsite.blogId);
+    const otherSites = await listOtherSites();
+    expect(otherSites.length, 'Network Sites list shows no other sites').toBeGreaterThan(0);
+
+    // Snapshot every other site on the network before the import
+    const before = {};
+    for (const { siteUrl } of otherSites) {
+      before[siteUrl] = await network.captureSiteState(siteUrl);
+    }
+    const subsiteBefore = await network.captureSiteState(subsite.siteUrl);
+
+    // Run FSI on the subsite
+    const auth = new TemplatelyAuth(page);
+    const navigation = new TemplatelyNavigation(page);
+    const templateManager = new TemplateManager(page);
+    const fsiWorkflow = new FSIWorkflow(page);
+
+    await auth.navigateToTemplately(subsite.siteUrl);
+    await navigation.goToCloudTemplates();
+    await templateManager.searchTemplates('business');
+    const templateName = await templateManager.selectFirstTemplate();
+
+    await fsiWorkflow.startFSIImport(templateName);
+    await fsiWorkflow.handleDependencyCheck();
+    await fsiWorkflow.handleCustomization({
+      siteName: 'Multisite Test Site',
+      siteTagline: 'Automated Multisite Test'
+    });
+    await fsiWorkflow.monitorImportProgress();
+
+    const results = await fsiWorkflow.validateImportResults();
+    expect(results.pages).toBeGreaterThan(0);
+
+    // The subsite changed...
+    const subsiteAfter = await network.captureSiteState(subsite.siteUrl);
+    expect(subsiteAfter).not.toEqual(subsiteBefore);
+
+    // ...and nothing else on the network did
+    expect(await listOtherSites(), 'Sites were added to or removed from the network during the import').toEqual(otherSites);
+    for (const { siteUrl } of otherSites) {
+      const after = await network.captureSiteState(siteUrl);
+      expect(after, `Site ${siteUrl} changed during the subsite import`).toEqual(before[siteUrl]);
+    }
+
+    console.log(`✅ Subsite import isolated from ${otherSites.length} other site(s)`);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Templately Role Permission Matrix Tests
+ *
+ * This test suite provisions one WordPress user per role and records which
+ * Templately admin pages and import actions each role can reach.
+ *
+ * Test Coverage:
+ * - User provisioning for administrator, editor, author, contributor, subscriber
+ * - Templately dashboard, template library and settings access
+ * - FSI and AI FSI start buttons, modals and import endpoints
+ * - Blocking import and settings for low-privileged roles
+ */
+
+const { test, expect } = require('@playwright/test');
+const { ensureStorageState } = require('./utils/auth-state');
+const {
+  PERMISSION_MATRIX,
+  RoleProvisioner,
+  PermissionProbe,
+  findPermissionViolations,
+  formatPermissionTable
+} = require('./utils/role-helpers');
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('Templately Role Permission Matrix', () => {
+  const results = {};
+
+  test.beforeAll(async ({ browser }) => {
+    // Provision users from the admin session saved by global setup
+    const context = await browser.newContext();
+    const page = await context.newPage();
+
+    try {
+      await new RoleProvisioner(page).provisionAllRoles();
+    } finally {
+      await context.close();
+    }
+  });
+
+  Object.keys(PERMISSION_MATRIX).forEach(role => {
+    test(`should enforce Templately permissions for ${role}`, async ({ browser, baseURL }) => {
+      test.setTimeout(180000); // 3 minutes
+
+      const statePath = await ensureStorageState(browser, baseURL, role);
+      const context = await browser.newContext({ storageState: statePath });
+      const page = await context.newPage();
+
+      try {
+        const access = await new PermissionProbe(page, role).probe();
+        results[role] = access;
+
+        await test.info().attach(`permissions-${role}.json`, {
+          body: JSON.stringify(access, null, 2),
+          contentType: 'application/json'
+        });
+
+        const violations = findPermissionViolations(role, access);
+        expect(violations, `Permission violations for ${role}`).toEqual([]);
+
+        console.log(`✅ ${role} permissions match the expected matrix`);
+      } finally {
+        await context.close();
+      }
+    });
+  });
+
+  test.afterAll(async () => {
+    if (Object.keys(results).length === 0) {
+      return;
+    }
+
+    const table = formatPermissionTable(results);
+    console.log(`\n📋 Templately permission matrix\n${table}\n`);
+
+    const fs = require('fs');
+    fs.mkdirSync('tests/reports', { recursive: true });
+    fs.writeFileSync('tests/reports/permission-matrix.md', `# Templately Permission Matrix\n\n${table}\n`);
+  });
+});
@@ -4,6 +4,11 @@
  */
 
 const { defineConfig, devices } = require('@playwright/test');
+const { getStorageStatePath } = require('./utils/auth-state');
+const { getConfig } = require('./utils/config');
+
+// Merged from env, playwright.local.json, playwright.json and defaults; throws on invalid keys
+const testConfig = getConfig();
 
 module.exports = defineConfig({
   // Test directory
@@ -16,7 +21,7 @@ module.exports = defineConfig({
   // Test execution settings
   fullyParallel: false, // Sequential execution for WordPress tests
   forbidOnly: !!process.env.CI,
-  retries: process.env.CI ? 2 : 1,
+  retries: process.env.CI ? testConfig.retries.testRetries : 1,
   workers: process.env.CI ? 1 : 1, // Single worker for WordPress stability
   
   // Reporter configuration
@@ -30,7 +35,10 @@ module.exports = defineConfig({
   // Global test settings
   use: {
     // Base URL for WordPress installation
-    baseURL: process.env.WP_BASE_URL || 'http://localhost:8080',
+    baseURL: testConfig.wordpress.baseUrl,
+
+    // Admin session saved by global setup, so tests start logged in
+    storageState: getStorageStatePath('admin'),
     
     // Browser settings
     headless: !process.env.HEADED,
@@ -38,20 +46,28 @@ module.exports = defineConfig({
     ignoreHTTPSErrors: true,
     
     // Screenshots and videos
-    screenshot: 'only-on-failure',
-    video: 'retain-on-failure',
-    trace: 'retain-on-failure',
+    screenshot: testConfig.artifacts.screenshotOnFailure ? 'only-on-failure' : 'off',
+    video: testConfig.artifacts.videoOnFailure ? 'retain-on-failure' : 'off',
+    trace: testConfig.artifacts.traceOnFailure ? 'retain-on-failure' : 'off',
     
     // Timeouts
-    actionTimeout: 30000,
-    navigationTimeout: 60000,
+    actionTimeout: testConfig.timeouts.action,
+    navigationTimeout: testConfig.timeouts.navigation,
   },
   
   // Test timeout
-  timeout: 300000, // 5 minutes per test
+  timeout: testConfig.timeouts.test, // 5 minutes per test by default
   expect: {
-    timeout: 30000
+    timeout: testConfig.timeouts.expect,
+    // Defaults for FSIPreview.compareWithBaseline(); test data may override them per template or scenario
+    toHaveScreenshot: {
+      threshold: testConfig.visual.threshold,
+      maxDiffPixelRatio: testConfig.visual.maxDiffPixelRatio
+    }
   },
+
+  // Visual baselines per project, template and scenario (see utils/visual-helpers.js)
+  snapshotPathTemplate: `{testDir}/${testConfig.visual.baselineDir}/{projectName}/{arg}{ext}`,
   
   // Projects for different browsers and test types
   projects: [
@@ -65,6 +81,17 @@ module.exports = defineConfig({
       testMatch: ['setup.test.js', 'ai-fsi-workflow.test.js', 'teardown.test.js'],
       use: { ...devices['Desktop Chrome'] },
     },
+    {
+      // Same FSI scenarios against block-editor (Gutenberg) packs
+      name: 'fsi-chrome-gutenberg',
+      testMatch: ['setup.test.js', 'fsi-workflow.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'], builderPlatform: 'gutenberg' },
+    },
+    {
+      name: 'ai-fsi-chrome-gutenberg',
+      testMatch: ['setup.test.js', 'ai-fsi-workflow.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'], builderPlatform: 'gutenberg' },
+    },
     {
       name: 'fsi-firefox',
       testMatch: ['setup.test.js', 'fsi-workflow.test.js', 'teardown.test.js'],
@@ -74,6 +101,76 @@ module.exports = defineConfig({
       name: 'ai-fsi-firefox',
       testMatch: ['setup.test.js', 'ai-fsi-workflow.test.js', 'teardown.test.js'],
       use: { ...devices['Desktop Firefox'] },
+    },
+    {
+      // Offline run against the fixture catalog in data/mock-cloud
+      name: 'fsi-chrome-offline',
+      testMatch: ['setup.test.js', 'fsi-workflow.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'], mockCloud: true },
+    },
+    {
+      // Offline run against the Gutenberg packs in the fixture catalog
+      name: 'fsi-chrome-gutenberg-offline',
+      testMatch: ['setup.test.js', 'fsi-workflow.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'], mockCloud: true, builderPlatform: 'gutenberg' },
+    },
+    {
+      // Offline AI FSI run against the fixture catalog and scripted AI backend
+      name: 'ai-fsi-chrome-offline',
+      testMatch: ['setup.test.js', 'ai-fsi-workflow.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'], mockCloud: true, mockAI: true },
+    },
+    {
+      // Adversarial answers to every AI question (see data/ai-fuzz-inputs.json)
+      name: 'ai-fuzz-chrome',
+      testMatch: ['setup.test.js', 'ai-fuzz.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'] },
+    },
+    {
+      // Fuzzing against the scripted AI backend's `fuzz` validation rules
+      name: 'ai-fuzz-chrome-offline',
+      testMatch: ['setup.test.js', 'ai-fuzz.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'], mockCloud: true, mockAI: true },
+    },
+    {
+      // FSI suite replayed from the HAR recordings in data/har
+      name: 'fsi-chrome-replay',
+      testMatch: ['setup.test.js', 'fsi-workflow.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'], harMode: 'replay' },
+    },
+    {
+      // Reloads, navigates away from or closes the browser mid-import (see interruption.* config)
+      name: 'interruption-chrome',
+      testMatch: ['setup.test.js', 'interruption.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'] },
+    },
+    {
+      // Two sessions importing different packs at the same time
+      name: 'concurrency-chrome',
+      testMatch: ['setup.test.js', 'concurrency.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'] },
+    },
+    {
+      // Imports pack A, then B, then A again and reports the residue (see reimport.policy)
+      name: 'reimport-chrome',
+      testMatch: ['setup.test.js', 'reimport.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'] },
+    },
+    {
+      name: 'permissions-chrome',
+      testMatch: ['setup.test.js', 'permissions.test.js', 'teardown.test.js'],
+      use: { ...devices['Desktop Chrome'] },
+    },
+    {
+      // Checks the content scorer alone; no browser or site pages are used
+      name: 'content-scoring',
+      testMatch: ['content-scoring.test.js'],
+    },
+    {
+      // Run with WP_MULTISITE=1 so global setup logs into and activates on the network
+      name: 'multisite-chrome',
+      testMatch: ['multisite.test.js'],
+      use: { ...devices['Desktop Chrome'], baseURL: testConfig.multisite.networkUrl },
     }
   ],
   
@@ -0,0 +1,91 @@
+/**
+ * Templately Sequential Re-import Tests
+ *
+ * This test suite imports pack A, then pack B on top of it, then A again,
+ * and reports what each import left behind, the way users try several packs
+ * before settling on one.
+ *
+ * Test Coverage:
+ * - Duplicated pages and leftover pages from earlier packs
+ * - Stale and leftover menus
+ * - Orphaned media
+ * - Front page setting
+ * - Leftover Elementor/Templately templates
+ * - Expectations for the replace or merge policy (reimport.policy)
+ */
+
+const { test, expect } = require('./utils/fixtures');
+const { TemplatelyAuth, TemplatelyNavigation, TemplateManager } = require('./utils/templately-helpers');
+const { FSIWorkflow } = require('./utils/fsi-helpers');
+const { WordPressRestClient } = require('./utils/wp-rest');
+const { REIMPORT_POLICIES, ResidueTracker, findPolicyViolations } = require('./utils/residue-helpers');
+const { getConfig } = require('./utils/config');
+
+const policy = getConfig().reimport.policy;
+
+// Pack positions in the business search results; `repeats` names the step whose pack must come back
+const importSequence = [
+  { label: 'A', templateIndex: 0 },
+  { label: 'B', templateIndex: 1 },
+  { label: 'A again', templateIndex: 0, repeats: 'A' }
+];
+
+test.describe('Templately Sequential Re-import Tests', () => {
+  test(`should leave only ${policy}-policy residue across A, B, then A again`, async ({ page, testConfig }) => {
+    test.setTimeout(1800000); // 30 minutes for three full imports
+
+    const rest = await WordPressRestClient.create(undefined, testConfig);
+    test.skip(!rest, 'Residue reports need the application password saved by global setup');
+
+    const auth = new TemplatelyAuth(page, 'admin', testConfig);
+    const navigation = new TemplatelyNavigation(page, testConfig);
+    const templateManager = new TemplateManager(page, testConfig);
+    const importedTemplates = {};
+    let tracker = null;
+
+    try {
+      tracker = new ResidueTracker(await rest.captureManifest());
+      console.log(`🔁 Re-import policy: ${policy} (${REIMPORT_POLICIES[policy].description})`);
+
+      for (const step of importSequence) {
+        const fsiWorkflow = new FSIWorkflow(page, testConfig);
+
+        await auth.navigateToTemplately();
+        await navigation.goToCloudTemplates();
+        await templateManager.searchTemplates('business');
+        const templateName = await templateManager.selectTemplateAt(step.templateIndex);
+
+        // Results may reorder after an import; comparing different packs would hide duplicates
+        if (step.repeats) {
+          expect(templateName, `Step ${step.label} should re-import the pack from step ${step.repeats}`).toBe(importedTemplates[step.repeats]);
+        }
+        importedTemplates[step.label] = templateName;
+
+        await fsiWorkflow.startFSIImport(templateName);
+        await fsiWorkflow.handleDependencyCheck();
+        await fsiWorkflow.monitorImportProgress();
+        const importedItems = await fsiWorkflow.getImportedItems();
+        await navigation.closeModals();
+
+        const report = tracker.recordStep(step.label, templateName, await rest.captureManifest(), importedItems);
+        console.log(`📋 Step ${step.label} (${templateName}): ${report.pagesAdded.length} pages added`);
+      }
+
+      const violations = tracker.steps.flatMap(report => findPolicyViolations(report, policy));
+      expect(violations, `Residue not allowed by the ${policy} policy`).toEqual([]);
+    } finally {
+      await rest.dispose();
+
+      if (tracker && tracker.steps.length > 0) {
+        await test.info().attach('reimport-residue.json', {
+          body: JSON.stringify({ policy, steps: tracker.steps }, null, 2),
+          contentType: 'application/json'
+        });
+        await test.info().attach('reimport-residue.md', {
+          body: tracker.formatMarkdown(),
+          contentType: 'text/markdown'
+        });
+      }
+    }
+  });
+});
@@ -8,6 +8,7 @@
 
 const { test, expect } = require('@playwright/test');
 const { TemplatelyAuth } = require('./utils/templately-helpers');
+const { WordPressRestClient, ensureApplicationPassword } = require('./utils/wp-rest');
 
 test.describe.configure({ mode: 'serial' });
 
@@ -90,6 +91,27 @@ test.describe('Templately Test Environment Setup', () => {
     console.log('✅ Templately admin page is accessible');
   });
 
+  test('should save an application password for REST verification', async ({ page }) => {
+    console.log('🔑 Checking the application password used to verify imports...');
+
+    const auth = new TemplatelyAuth(page);
+    await auth.loginToWordPress();
+
+    const siteUrl = page.url().replace(/\/wp-admin.*/, '');
+    await ensureApplicationPassword(page, siteUrl);
+
+    const client = await WordPressRestClient.create(siteUrl);
+    expect(client, 'An application password should be saved').not.toBeNull();
+    try {
+      const { status } = await client.get('wp/v2/users/me', { context: 'edit' });
+      expect(status, 'The saved application password should authenticate').toBe(200);
+    } finally {
+      await client.dispose();
+    }
+
+    console.log('✅ Application password ready');
+  });
+
   test('should verify required dependencies', async ({ page }) => {
     console.log('🔍 Checking required dependencies...');
 
@@ -6,24 +6,28 @@
  */
 
 const { test, expect } = require('@playwright/test');
-const { TemplatelyAuth } = require('./utils/templately-helpers');
+const { WordPressSnapshot, diffSnapshotStates, formatSnapshotDiff } = require('./utils/wp-snapshot');
 
 test.describe.configure({ mode: 'serial' });
 
 test.describe('Templately Test Environment Teardown', () => {
-  test('should cleanup test data', async ({ page }) => {
+  test('should cleanup test data', async () => {
     console.log('🧹 Starting test data cleanup...');
 
-    const auth = new TemplatelyAuth(page);
-    await auth.loginToWordPress();
+    const fs = require('fs');
+    const snapshot = new WordPressSnapshot();
+    test.skip(!snapshot.hasSnapshot('baseline'), 'No baseline snapshot; run the suite with WP_SNAPSHOT=1');
 
-    // Navigate to Templately admin
-    await auth.navigateToTemplately();
+    // Record everything this project changed before putting the site back
+    const diff = diffSnapshotStates(snapshot.readState('baseline'), await snapshot.captureState());
+    const report = formatSnapshotDiff(diff);
+    fs.writeFileSync(`tests/reports/wp-changes-${test.info().project.name}.md`, report);
+    await test.info().attach('wp-snapshot-diff.md', { body: report, contentType: 'text/markdown' });
 
-    // Clean up any test templates or data created during tests
-    // This would be implemented based on specific cleanup needs
+    // Every project runs this teardown, so the baseline stays until global teardown discards it
+    await snapshot.restore('baseline');
 
-    console.log('✅ Test data cleanup completed');
+    console.log(`✅ Test data cleanup completed: ${diff.tables.length} tables, ${diff.options.added.length + diff.options.changed.length} options, ${diff.uploads.added.length} uploads reverted`);
   });
 
   test('should generate test summary report', async ({ page }) => {
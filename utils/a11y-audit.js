@@ -0,0 +1,317 @@
+/**
+ * Offline Accessibility Audit for Previews and Imported Pages
+ *
+ * This module runs a bundled set of WCAG AA rules in the browser, without any
+ * network access or third-party engine, and compares the violations with a
+ * per-template baseline so tests fail only on new violations.
+ *
+ * Rules: heading order, image alt text, form labels, color contrast,
+ * landmark regions, link names and lang attributes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+/**
+ * Bundled rules with severity and the WCAG success criteria they cover
+ */
+const A11Y_RULES = {
+  'heading-order': { severity: 'moderate', wcag: ['1.3.1', '2.4.6'], description: 'Headings start at h1 and do not skip levels' },
+  'image-alt': { severity: 'critical', wcag: ['1.1.1'], description: 'Images have alternative text (alt="" for decorative images)' },
+  'form-label': { severity: 'critical', wcag: ['1.3.1', '4.1.2'], description: 'Form fields have a label' },
+  'color-contrast': { severity: 'serious', wcag: ['1.4.3'], description: 'Text contrast is at least 4.5:1 (3:1 for large text)' },
+  'landmark-regions': { severity: 'moderate', wcag: ['1.3.1'], description: 'One main landmark, and content sits inside landmarks' },
+  'link-name': { severity: 'serious', wcag: ['2.4.4', '4.1.2'], description: 'Links have an accessible name' },
+  'lang': { severity: 'serious', wcag: ['3.1.1', '3.1.2'], description: 'The page has a valid lang attribute, and so do language changes' }
+};
+
+const SEVERITY_ORDER = ['minor', 'moderate', 'serious', 'critical'];
+
+// Most violations to report per rule and page, so one repeated pattern does not flood the report
+const MAX_PER_RULE = 25;
+
+/**
+ * Run the rules against the document containing `root`; runs in the browser
+ * @returns {Array<{rule: string, selector: string, message: string}>}
+ */
+function runRules(root, { rules, maxPerRule }) {
+  const doc = root.ownerDocument;
+  const win = doc.defaultView;
+  const results = [];
+  const counts = {};
+
+  const report = (rule, element, message) => {
+    if (!rules.includes(rule) || (counts[rule] = (counts[rule] || 0) + 1) > maxPerRule) {
+      return;
+    }
+    results.push({ rule, selector: selectorFor(element), message });
+  };
+
+  function selectorFor(element) {
+    const parts = [];
+    for (let node = element; node && node.nodeType === 1 && parts.length < 5; node = node.parentElement) {
+      const tag = node.tagName.toLowerCase();
+      if (node.id && /^[A-Za-z][\w-]*$/.test(node.id)) {
+        parts.unshift(`#${node.id}`);
+        break;
+      }
+      if (tag === 'html' || tag === 'body') {
+        parts.unshift(tag);
+        break;
+      }
+      const siblings = Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName);
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  }
+
+  const isShown = element => {
+    const style = win.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0 &&
+      !element.closest('[aria-hidden="true"], [hidden]');
+  };
+
+  const textOf = id => {
+    const element = doc.getElementById(id);
+    return element ? element.textContent.trim() : '';
+  };
+
+  const accessibleName = element => [
+    element.getAttribute('aria-label'),
+    (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean).map(textOf).join(' '),
+    element.textContent,
+    ...Array.from(element.querySelectorAll('img[alt], [aria-label]')).map(child => child.getAttribute('alt') || child.getAttribute('aria-label')),
+    element.getAttribute('title')
+  ].some(name => name && name.trim());
+
+  const all = selector => Array.from(doc.querySelectorAll(selector));
+
+  // lang
+  const validLang = value => /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value || '');
+  if (!validLang(doc.documentElement.getAttribute('lang'))) {
+    report('lang', doc.documentElement, `<html> lang is ${doc.documentElement.hasAttribute('lang') ? `invalid ("${doc.documentElement.getAttribute('lang')}")` : 'missing'}`);
+  }
+  all('body [lang]').filter(element => !validLang(element.getAttribute('lang')))
+    .forEach(element => report('lang', element, `Invalid lang "${element.getAttribute('lang')}"`));
+
+  // image-alt
+  all('img').filter(isShown).filter(image => !image.hasAttribute('alt') && !image.getAttribute('aria-label') &&
+    !image.getAttribute('aria-labelledby') && image.getAttribute('role') !== 'presentation')
+    .forEach(image => report('image-alt', image, `Image has no alt attribute (${(image.getAttribute('src') || '').split('/').pop()})`));
+  all('[role="img"]').filter(isShown).filter(element => !element.getAttribute('aria-label') && !element.getAttribute('aria-labelledby'))
+    .forEach(element => report('image-alt', element, 'role="img" has no accessible name'));
+
+  // form-label
+  all('input, select, textarea').filter(isShown)
+    .filter(field => !/^(hidden|submit|button|reset|image)$/i.test(field.type || ''))
+    .filter(field => !(field.id && doc.querySelector(`label[for="${win.CSS.escape(field.id)}"]`)) && !field.closest('label') &&
+      !field.getAttribute('aria-label') && !field.getAttribute('aria-labelledby') && !field.getAttribute('title'))
+    .forEach(field => report('form-label', field, `${field.tagName.toLowerCase()}${field.type ? `[type=${field.type}]` : ''} has no label${field.placeholder ? ' (placeholder is not a label)' : ''}`));
+
+  // link-name
+  all('a[href]').filter(isShown).filter(link => !accessibleName(link))
+    .forEach(link => report('link-name', link, `Link to ${link.getAttribute('href')} has no accessible name`));
+
+  // heading-order
+  const headings = all('h1, h2, h3, h4, h5, h6, [role="heading"][aria-level]').filter(isShown)
+    .map(element => ({ element, level: Number(element.getAttribute('aria-level')) || Number(element.tagName[1]) }));
+  if (headings.length > 0 && !headings.some(heading => heading.level === 1)) {
+    report('heading-order', headings[0].element, 'Page has no h1');
+  }
+  headings.forEach((heading, index) => {
+    const previous = index > 0 ? headings[index - 1].level : 0;
+    if (heading.level > previous + 1 && index > 0) {
+      report('heading-order', heading.element, `h${heading.level} follows h${previous}`);
+    }
+  });
+
+  // landmark-regions
+  const landmarkSelector = 'header, nav, main, footer, aside, form[aria-label], section[aria-label], section[aria-labelledby], ' +
+    '[role="banner"], [role="navigation"], [role="main"], [role="contentinfo"], [role="complementary"], [role="region"], [role="search"], [role="form"]';
+  const mains = all('main, [role="main"]').filter(isShown);
+  if (mains.length !== 1) {
+    report('landmark-regions', mains[1] || doc.body, `Page has ${mains.length} main landmarks`);
+  }
+  Array.from(doc.body.children).filter(isShown)
+    .filter(element => !element.matches(landmarkSelector) && !element.matches('script, style, noscript, template, [role="dialog"]'))
+    .filter(element => Array.from(element.querySelectorAll('*')).concat(element)
+      .some(child => !child.closest(landmarkSelector) && Array.from(child.childNodes).some(node => node.nodeType === 3 && node.textContent.trim())))
+    .forEach(element => report('landmark-regions', element, 'Content is outside any landmark'));
+
+  // color-contrast
+  const parseColor = value => {
+    const match = /rgba?\(([^)]+)\)/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  };
+  const blend = (top, bottom) => ({
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a),
+    a: 1
+  });
+  const luminance = ({ r, g, b }) => {
+    const channel = value => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+  // Background behind an element; null when an image or gradient makes it unknowable
+  const backgroundOf = element => {
+    const layers = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      const style = win.getComputedStyle(node);
+      if (style.backgroundImage !== 'none') {
+        return null;
+      }
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) {
+          break;
+        }
+      }
+    }
+    return layers.reverse().reduce((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+  };
+
+  all('body *').filter(element => !element.matches('script, style, noscript, svg *, option'))
+    .filter(element => Array.from(element.childNodes).some(node => node.nodeType === 3 && node.textContent.trim()))
+    .filter(isShown)
+    .slice(0, 1000)
+    .forEach(element => {
+      const style = win.getComputedStyle(element);
+      const background = backgroundOf(element);
+      const foreground = parseColor(style.color);
+      if (!background || !foreground) {
+        return;
+      }
+
+      const text = blend({ ...foreground, a: foreground.a * Number(style.opacity) }, background);
+      const [light, dark] = [luminance(text), luminance(background)].sort((a, b) => b - a);
+      const ratio = (light + 0.05) / (dark + 0.05);
+      const size = parseFloat(style.fontSize);
+      const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+      const required = large ? 3 : 4.5;
+
+      if (ratio < required) {
+        report('color-contrast', element, `Contrast ${ratio.toFixed(2)}:1 is below ${required}:1 (${style.color} on ${style.backgroundColor}, ${size}px)`);
+      }
+    });
+
+  return results;
+}
+
+/**
+ * Accessibility audit with per-template baselines
+ */
+class AccessibilityAudit {
+  constructor(config = getConfig()) {
+    this.config = config;
+  }
+
+  /**
+   * Audit a document
+   * @param {import('@playwright/test').Page|import('@playwright/test').Frame|import('@playwright/test').FrameLocator} target -
+   *   A page, a frame, or the preview iframe passed to FSIPreview.interactWithPreview()
+   * @param {string} label - Page label stored with each violation, e.g. 'preview' or a URL path
+   * @param {string[]} rules - Rule IDs to run (defaults to all of A11Y_RULES)
+   * @returns {Promise<Array<{page: string, rule: string, severity: string, wcag: string[], selector: string, message: string}>>}
+   */
+  async audit(target, label, rules = Object.keys(A11Y_RULES)) {
+    const found = await target.locator('html').evaluate(runRules, { rules, maxPerRule: MAX_PER_RULE });
+    const violations = found.map(violation => ({
+      page: label,
+      ...violation,
+      severity: A11Y_RULES[violation.rule].severity,
+      wcag: A11Y_RULES[violation.rule].wcag
+    }));
+
+    console.log(`♿ ${label}: ${violations.length} accessibility violation(s)`);
+    return violations;
+  }
+
+  /**
+   * Audit published pages one by one in a separate tab
+   * @param {import('@playwright/test').Page} page - Page whose context opens the tab
+   * @param {string[]} urls - Absolute page URLs, e.g. the `link` of manifest pages
+   * @returns {Promise<Array>} Violations of every page, labelled with the URL path
+   */
+  async auditPages(page, urls) {
+    const tab = await page.context().newPage();
+    const violations = [];
+
+    try {
+      for (const url of urls) {
+        await tab.goto(url, { waitUntil: 'load' });
+        violations.push(...await this.audit(tab, new URL(url).pathname));
+      }
+    } finally {
+      await tab.close();
+    }
+
+    return violations;
+  }
+
+  /**
+   * Baseline file for a template
+   * @param {string} template - Template ID or name
+   */
+  getBaselinePath(template) {
+    const slug = String(template).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return path.resolve(this.config.a11y.baselineDir, `${slug}.json`);
+  }
+
+  /**
+   * Compare violations with the template's baseline
+   * With a11y.updateBaseline the baseline is rewritten from these violations instead.
+   * Without a baseline file every violation counts as new.
+   * @param {string} template - Template ID or name
+   * @param {Array} violations - Result of audit() or auditPages()
+   * @returns {{newViolations: Array, fixed: Array, baselinePath: string, updated: boolean}}
+   */
+  compareWithBaseline(template, violations) {
+    const baselinePath = this.getBaselinePath(template);
+    const key = violation => `${violation.page}|${violation.rule}|${violation.selector}`;
+
+    if (this.config.a11y.updateBaseline) {
+      const entries = violations.map(({ page, rule, selector, message }) => ({ page, rule, selector, message }));
+      fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+      fs.writeFileSync(baselinePath, JSON.stringify({ template, violations: entries }, null, 2) + '\n');
+      console.log(`💾 Accessibility baseline updated: ${path.relative(process.cwd(), baselinePath)} (${entries.length} known violations)`);
+      return { newViolations: [], fixed: [], baselinePath, updated: true };
+    }
+
+    const baseline = fs.existsSync(baselinePath) ? JSON.parse(fs.readFileSync(baselinePath, 'utf8')).violations : [];
+    const known = new Set(baseline.map(key));
+    const current = new Set(violations.map(key));
+
+    return {
+      newViolations: violations.filter(violation => !known.has(key(violation))),
+      fixed: baseline.filter(violation => !current.has(key(violation))),
+      baselinePath,
+      updated: false
+    };
+  }
+}
+
+/**
+ * Sort violations by severity, most severe first
+ * @param {Array} violations - Violations from AccessibilityAudit
+ * @returns {Array} Sorted copy
+ */
+function sortBySeverity(violations) {
+  return [...violations].sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+}
+
+module.exports = {
+  A11Y_RULES,
+  AccessibilityAudit,
+  sortBySeverity
+};
@@ -0,0 +1,125 @@
+/**
+ * Adversarial Input Fuzzing for AI FSI Questions
+ *
+ * This module loads the fuzz cases in ai.fuzzCases (data/ai-fuzz-inputs.json),
+ * plans the generation runs for answers the assistant should accept, and checks
+ * the chat and the generated site for payloads rendered as markup, executed,
+ * altered, or followed as instructions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+/**
+ * Build a generated input, e.g. { repeat: 'Lorem ', length: 10000 }
+ */
+function expandInput(input) {
+  if (typeof input === 'string') {
+    return input;
+  }
+  return input.repeat.repeat(Math.ceil(input.length / input.repeat.length)).slice(0, input.length);
+}
+
+/**
+ * Load the fuzz cases with their inputs expanded
+ * @param {Object} config - Test configuration
+ * @returns {Array<{id: string, field: string, input: string, expect: string, error?: RegExp, absent?: string}>}
+ */
+function loadFuzzCases(config = getConfig()) {
+  const casesPath = path.resolve(__dirname, '..', config.ai.fuzzCases);
+  if (!fs.existsSync(casesPath)) {
+    throw new Error(`AI fuzz cases not found: ${casesPath}`);
+  }
+
+  const { cases } = JSON.parse(fs.readFileSync(casesPath, 'utf8'));
+  return cases.map(entry => {
+    if (!['reject', 'verbatim', 'escaped', 'ignored'].includes(entry.expect)) {
+      throw new Error(`Fuzz case ${entry.id} has an unknown expectation: ${entry.expect}`);
+    }
+    return {
+      ...entry,
+      input: expandInput(entry.input),
+      error: entry.error ? new RegExp(entry.error, 'i') : undefined
+    };
+  });
+}
+
+/**
+ * Group accepted cases into generation runs, at most one case per question in each run
+ * @param {Array} cases - Result of loadFuzzCases()
+ * @returns {Array<{cases: Array, answers: Object}>} Runs with the answers to give, keyed by field
+ */
+function planRenderBatches(cases) {
+  const batches = [];
+
+  cases.filter(entry => entry.expect !== 'reject').forEach(entry => {
+    let batch = batches.find(candidate => candidate.answers[entry.field] === undefined);
+    if (!batch) {
+      batch = { cases: [], answers: {} };
+      batches.push(batch);
+    }
+    batch.cases.push(entry);
+    batch.answers[entry.field] = entry.input;
+  });
+
+  return batches;
+}
+
+/**
+ * Payload markup and execution left in the current document; runs in the browser
+ * Payloads tag their elements with data-fuzz and set window.__fuzz when executed.
+ */
+function inspectInjection() {
+  const frames = Array.from(document.querySelectorAll('iframe'))
+    .map(frame => {
+      try {
+        return frame.contentWindow.__fuzz || null;
+      } catch {
+        return null;
+      }
+    });
+
+  return {
+    elements: Array.from(document.querySelectorAll('[data-fuzz]')).map(element => element.getAttribute('data-fuzz')),
+    executed: [window.__fuzz || null, ...frames].filter(Boolean)
+  };
+}
+
+/**
+ * Check payloads against what the browser rendered
+ * @param {Array} cases - Fuzz cases given as answers
+ * @param {Array<{title: string, url: string, text?: string, evaluated: {elements: string[], executed: string[]}}>} pages - Inspected pages
+ * @returns {string[]} Problems, one per case and page
+ */
+function findRenderProblems(cases, pages) {
+  const normalize = text => String(text).replace(/\s+/g, ' ').trim();
+  const problems = [];
+
+  pages.forEach(page => {
+    page.evaluated.elements.forEach(id => problems.push(`${id}: rendered as markup on ${page.title || page.url}`));
+    page.evaluated.executed.forEach(id => problems.push(`${id}: script executed on ${page.title || page.url}`));
+  });
+
+  const site = pages.filter(page => page.text !== undefined);
+  cases.forEach(entry => {
+    if (entry.expect === 'verbatim' && !site.some(page => normalize(page.text).includes(normalize(entry.input)))) {
+      problems.push(`${entry.id}: "${entry.input}" does not appear unchanged in the generated site`);
+    }
+    if (entry.expect === 'ignored') {
+      const followed = site.find(page => page.text.toUpperCase().includes(entry.absent.toUpperCase()));
+      if (followed) {
+        problems.push(`${entry.id}: the AI followed the injected instruction ("${entry.absent}" on ${followed.title || followed.url})`);
+      }
+    }
+  });
+
+  return Array.from(new Set(problems));
+}
+
+module.exports = {
+  loadFuzzCases,
+  planRenderBatches,
+  inspectInjection,
+  findRenderProblems
+};
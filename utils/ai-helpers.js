@@ -6,14 +6,20 @@
  */
 
 const { expect } = require('@playwright/test');
+const { getConfig } = require('./config');
+const { ProgressTimeline } = require('./timeline');
+const { loadIntentMap, classifyMessage, answerFor } = require('./ai-intents');
+const { ConversationTranscript } = require('./ai-transcript');
 
 /**
  * AI Conversation Management
  */
 class AIConversation {
-  constructor(page) {
+  constructor(page, config = getConfig()) {
     this.page = page;
-    this.conversationSteps = [];
+    this.config = config;
+    this.transcript = new ConversationTranscript();
+    this.timeline = new ProgressTimeline('ai-generation', config);
   }
 
   /**
@@ -21,20 +27,23 @@ class AIConversation {
    */
   async startAIWorkflow() {
     await this.page.click('.build-with-ai-button, [data-action="start-ai-workflow"]');
-    await this.page.waitForSelector('.ai-conversation-container', { timeout: 15000 });
+    this.transcript.markRequest();
+    await this.page.waitForSelector('.ai-conversation-container', { timeout: this.config.timeouts.aiStart });
     console.log('✅ AI FSI workflow started');
   }
 
   /**
    * Wait for AI message and validate
    * @param {string} expectedMessage - Expected AI message content (partial match)
-   * @param {number} timeout - Timeout in milliseconds
+   * @param {number} timeout - Timeout in milliseconds (defaults to timeouts.aiMessage)
    */
-  async waitForAIMessage(expectedMessage, timeout = 30000) {
+  async waitForAIMessage(expectedMessage, timeout = this.config.timeouts.aiMessage) {
     const messageSelector = '.ai-message:last-child .message-content';
     await this.page.waitForSelector(messageSelector, { timeout });
 
     const actualMessage = await this.page.locator(messageSelector).textContent();
+    const buttons = await this.page.locator('.ai-message:last-child button').allTextContents();
+    this.transcript.addAssistantTurn({ text: actualMessage.trim(), buttons: buttons.map(text => text.trim()) });
 
     if (expectedMessage && !actualMessage.includes(expectedMessage)) {
       throw new Error(`Expected AI message to contain "${expectedMessage}", but got: "${actualMessage}"`);
@@ -63,91 +72,157 @@ class AIConversation {
       await this.page.click(submitSelector);
     }
 
+    this.transcript.addUserTurn({ text: useButton && buttonText ? buttonText : response, button: useButton ? buttonText : null });
+
     // Wait for response to be processed
     await this.page.waitForTimeout(1000);
 
-    this.conversationSteps.push({
-      type: 'user',
-      content: response,
-      timestamp: new Date().toISOString()
-    });
+    const error = this.page.locator('.validation-error, .ai-error-message').first();
+    if (await error.isVisible()) {
+      this.transcript.addValidationError((await error.textContent()).trim());
+    }
+
+    console.log(`✅ User response sent: ${useButton && buttonText ? buttonText : response}`);
+  }
+
+  /**
+   * Wait for the next assistant message after `previousCount` messages
+   * Also returns when the UI shows a validation error instead of a new message.
+   * @returns {Promise<{message: string|null, buttons: string[], validationError: string|null}>}
+   */
+  async waitForNextAssistantTurn(previousCount, timeout = this.config.timeouts.aiMessage) {
+    await this.page.waitForFunction(count => {
+      const error = document.querySelector('.validation-error, .ai-error-message');
+      return document.querySelectorAll('.ai-message').length > count || Boolean(error && error.offsetParent);
+    }, previousCount, { timeout });
+
+    const error = this.page.locator('.validation-error, .ai-error-message').first();
+    if (await this.page.locator('.ai-message').count() <= previousCount && await error.isVisible()) {
+      const validationError = (await error.textContent()).trim();
+      this.transcript.addValidationError(validationError);
+      return { message: null, buttons: [], validationError };
+    }
 
-    console.log(`✅ User response sent: ${response}`);
+    const last = this.page.locator('.ai-message:last-child');
+    const turn = {
+      message: (await last.locator('.message-content').textContent()).trim(),
+      buttons: (await last.locator('button').allTextContents()).map(text => text.trim()),
+      validationError: null
+    };
+    this.transcript.addAssistantTurn({ text: turn.message, buttons: turn.buttons });
+    return turn;
   }
 
   /**
    * Complete business information collection workflow
-   * @param {Object} businessData - Business information
+   * Each assistant message is classified with the intent map (ai.intentMap) and answered
+   * from the business data, so reworded or reordered questions, skipped optional questions
+   * and follow-up clarifications do not break the flow. Unrecognized questions, validation
+   * errors and required questions that were never asked fail with the transcript so far.
+   * @param {Object} businessData - Business information, keyed by intent field
+   * @returns {Promise<Array>} Transcript turns of the exchange
    */
   async completeBusinessInfoWorkflow(businessData = {}) {
-    const {
-      businessName = 'TechSolutions Pro',
-      industry = 'Technology',
-      description = 'We are a leading technology consulting company specializing in digital transformation, cloud solutions, and innovative software development. Our expert team helps businesses modernize their operations and achieve sustainable growth through cutting-edge technology solutions.',
-      email = 'contact@techsolutionspro.com',
-      phone = '+1-555-123-4567',
-      address = '456 Tech Plaza, Suite 789, Innovation District, San Francisco, CA 94105, United States',
-      hours = 'Monday to Friday: 9:00 AM to 6:00 PM (PST), Saturday: 10:00 AM to 2:00 PM (PST), Sunday: Closed',
-      replaceImages = false
-    } = businessData;
+    const answers = {
+      businessName: 'TechSolutions Pro',
+      industry: 'Technology',
+      description: 'We are a leading technology consulting company specializing in digital transformation, cloud solutions, and innovative software development. Our expert team helps businesses modernize their operations and achieve sustainable growth through cutting-edge technology solutions.',
+      email: 'contact@techsolutionspro.com',
+      phone: '+1-555-123-4567',
+      address: '456 Tech Plaza, Suite 789, Innovation District, San Francisco, CA 94105, United States',
+      hours: 'Monday to Friday: 9:00 AM to 6:00 PM (PST), Saturday: 10:00 AM to 2:00 PM (PST), Sunday: Closed',
+      replaceImages: false,
+      ...businessData
+    };
+    const intentMap = loadIntentMap(this.config);
+    const firstTurn = this.transcript.turns.length;
+    const asked = new Set();
+    let lastAnswer = null;
+
+    const fail = reason => new Error(`${reason}\nTranscript:\n${this.transcript.formatText()}`);
 
     console.log('🤖 Starting AI business information collection workflow...');
 
-    // Step 1: Business Name
-    await this.waitForAIMessage('business name');
-    await this.sendUserResponse(businessName);
-
-    // Step 2: Industry Type
-    await this.waitForAIMessage('type of business');
-    await this.sendUserResponse(industry);
+    let turn = await this.waitForNextAssistantTurn(0);
+    for (let turns = 0; turns < this.config.ai.maxTurns; turns++) {
+      if (turn.validationError) {
+        throw fail(`AI rejected the answer "${lastAnswer && lastAnswer.text}": ${turn.validationError}`);
+      }
 
-    // Step 3: Business Description
-    await this.waitForAIMessage('describe your business');
-    await this.sendUserResponse(description);
+      const match = classifyMessage(turn.message, intentMap);
+      if (!match) {
+        throw fail(`Unrecognized AI question: "${turn.message}"`);
+      }
 
-    // Step 4: Email Address
-    await this.waitForAIMessage('email address');
-    await this.sendUserResponse(email);
+      this.transcript.setIntent(match.entry.id);
+
+      let answer;
+      if (match.kind === 'clarification') {
+        if (match.entry.repeat && !lastAnswer) {
+          throw fail(`AI asked to clarify before any answer: "${turn.message}"`);
+        }
+        answer = match.entry.repeat ? lastAnswer : { button: match.entry.answer };
+      } else {
+        asked.add(match.entry.id);
+        answer = answerFor(match.entry, answers);
+        if (!answer) {
+          throw fail(`No ${match.entry.field} in the business data for: "${turn.message}"`);
+        }
+      }
 
-    // Step 5: Phone Number (Optional)
-    await this.waitForAIMessage('contact number');
-    await this.sendUserResponse(phone);
+      // Skips and choices are buttons when offered, typed text otherwise
+      if (answer.skip) {
+        const skipButton = intentMap.skip.buttons.find(label => turn.buttons.includes(label));
+        answer = skipButton ? { button: skipButton } : { text: intentMap.skip.text };
+      }
+      if (answer.button && !turn.buttons.includes(answer.button)) {
+        answer = { text: answer.button };
+      }
 
-    // Step 6: Business Address
-    await this.waitForAIMessage('business address');
-    await this.sendUserResponse(address);
+      const previousCount = await this.page.locator('.ai-message').count();
+      if (answer.button) {
+        await this.sendUserResponse('', true, answer.button);
+      } else {
+        await this.sendUserResponse(answer.text);
+      }
+      lastAnswer = answer;
 
-    // Step 7: Business Hours (Optional)
-    await this.waitForAIMessage('opening hours');
-    await this.sendUserResponse(hours);
+      if (match.kind === 'intent' && match.entry.final) {
+        const missing = intentMap.intents.filter(intent => !intent.optional && !asked.has(intent.id)).map(intent => intent.id);
+        if (missing.length > 0) {
+          throw fail(`AI never asked for required information: ${missing.join(', ')}`);
+        }
 
-    // Step 8: Image Replacement
-    await this.waitForAIMessage('replace the current image');
-    await this.sendUserResponse('', true, replaceImages ? 'Yes' : 'No');
+        console.log(`✅ Business information collection completed (${asked.size} questions)`);
+        return this.transcript.turns.slice(firstTurn);
+      }
 
-    // Step 9: Final Confirmation
-    await this.waitForAIMessage('generate your website content');
-    await this.sendUserResponse('', true, "Yes, Let's Do It!");
+      turn = await this.waitForNextAssistantTurn(previousCount);
+    }
 
-    console.log('✅ Business information collection completed');
+    throw fail(`AI conversation did not reach the final confirmation within ${this.config.ai.maxTurns} turns`);
   }
 
   /**
    * Monitor AI content generation progress
-   * @param {number} timeoutMs - Maximum time to wait for completion
+   * @param {number} timeoutMs - Maximum time to wait for completion (defaults to timeouts.aiGeneration)
    */
-  async monitorContentGeneration(timeoutMs = 300000) { // 5 minutes default
+  async monitorContentGeneration(timeoutMs = this.config.timeouts.aiGeneration) {
     console.log('🎨 Monitoring AI content generation...');
 
     const startTime = Date.now();
 
     // Wait for generation to start
-    await this.page.waitForSelector('.ai-generation-progress', { timeout: 30000 });
+    this.timeline.startStage('generation-start');
+    await this.page.waitForSelector('.ai-generation-progress', { timeout: this.config.timeouts.aiGenerationStart });
+    this.timeline.startStage('content-generation');
 
     while (Date.now() - startTime < timeoutMs) {
       // Check for completion
       const isComplete = await this.page.locator('.ai-generation-complete').isVisible();
       if (isComplete) {
+        this.timeline.record(100, 'complete');
+        this.timeline.endStage();
         console.log('✅ AI content generation completed');
         return true;
       }
@@ -156,6 +231,8 @@ class AIConversation {
       const hasError = await this.page.locator('.ai-generation-error').isVisible();
       if (hasError) {
         const errorMessage = await this.page.locator('.ai-error-message').textContent();
+        this.timeline.record(null, 'error');
+        this.timeline.endStage();
         throw new Error(`AI generation failed: ${errorMessage}`);
       }
 
@@ -165,40 +242,75 @@ class AIConversation {
 
       if (totalSteps > 0) {
         console.log(`📈 AI generation progress: ${progressSteps}/${totalSteps} steps completed`);
+
+        // Record step changes with the active step's label; the timeline flags stalls
+        const activeStep = this.page.locator('.progress-step.active').first();
+        const label = await activeStep.isVisible() ? (await activeStep.textContent()).trim() : null;
+        this.timeline.record(Math.round((progressSteps / totalSteps) * 100), label);
       }
 
-      await this.page.waitForTimeout(3000);
+      await this.page.waitForTimeout(this.config.timeouts.aiPoll);
     }
 
+    this.timeline.endStage();
     throw new Error('AI content generation timed out');
   }
 
   /**
    * Get conversation history
-   * @returns {Array} Array of conversation steps
+   * @returns {Array} Transcript turns of both sides
    */
   getConversationHistory() {
-    return this.conversationSteps;
+    return this.transcript.turns;
   }
 
   /**
    * Validate conversation flow
-   * @param {Array} expectedSteps - Expected conversation steps
+   * Each expected step is matched against the next transcript turn of its type
+   * ('assistant', 'user' or 'validation-error'), so user-only and assistant-only
+   * expectations can be mixed. `content` is a substring of assistant messages and
+   * validation errors, the exact text of user answers, or a RegExp for either;
+   * `buttons` must all have been offered and `button` is the one chosen.
+   * @param {Array<{type: string, content?: string|RegExp, intent?: string, buttons?: string[], button?: string}>} expectedSteps - Expected conversation steps
    */
   async validateConversationFlow(expectedSteps) {
     console.log('🔍 Validating AI conversation flow...');
 
+    const turns = this.transcript.turns;
+    let cursor = 0;
+
     for (let i = 0; i < expectedSteps.length; i++) {
       const expected = expectedSteps[i];
-      const actual = this.conversationSteps[i];
+      const index = turns.findIndex((turn, position) => position >= cursor && turn.role === expected.type);
 
-      if (!actual) {
-        throw new Error(`Missing conversation step ${i + 1}: ${expected.type}`);
+      if (index === -1) {
+        throw new Error(`Missing conversation step ${i + 1}: ${expected.type}\nTranscript:\n${this.transcript.formatText()}`);
       }
 
-      if (actual.type !== expected.type) {
-        throw new Error(`Step ${i + 1} type mismatch: expected ${expected.type}, got ${actual.type}`);
+      const actual = turns[index];
+      const mismatch = what => new Error(`Step ${i + 1} (${expected.type}) ${what}\nTranscript:\n${this.transcript.formatText()}`);
+
+      if (expected.content !== undefined) {
+        const matches = expected.content instanceof RegExp
+          ? expected.content.test(actual.text)
+          : (expected.type === 'user' ? actual.text === expected.content : actual.text.includes(expected.content));
+        if (!matches) {
+          throw mismatch(`content mismatch: expected ${expected.content}, got "${actual.text}"`);
+        }
+      }
+      if (expected.intent !== undefined && actual.intent !== expected.intent) {
+        throw mismatch(`intent mismatch: expected ${expected.intent}, got ${actual.intent}`);
       }
+      const offered = actual.role === 'assistant' ? actual.buttons : actual.offered || [];
+      const missingButtons = (expected.buttons || []).filter(label => !offered.includes(label));
+      if (missingButtons.length > 0) {
+        throw mismatch(`did not offer ${missingButtons.join(', ')} (offered: ${offered.join(', ') || 'none'})`);
+      }
+      if (expected.button !== undefined && actual.button !== expected.button) {
+        throw mismatch(`button mismatch: expected ${expected.button}, got ${actual.button}`);
+      }
+
+      cursor = index + 1;
     }
 
     console.log('✅ Conversation flow validation passed');
@@ -0,0 +1,81 @@
+/**
+ * Intent Map for the Adaptive AI Conversation Driver
+ *
+ * This module loads the question types from ai.intentMap (data/ai-intents.json),
+ * classifies assistant messages against them and picks the answer for each
+ * question from the scenario's business data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+/**
+ * Load and compile the intent map
+ * @param {Object} config - Test configuration
+ * @returns {{intents: Array, clarifications: Array, skip: {buttons: string[], text: string}}}
+ */
+function loadIntentMap(config = getConfig()) {
+  const mapPath = path.resolve(__dirname, '..', config.ai.intentMap);
+  if (!fs.existsSync(mapPath)) {
+    throw new Error(`AI intent map not found: ${mapPath}`);
+  }
+
+  const map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+  const compile = entry => ({ ...entry, matchers: entry.patterns.map(pattern => new RegExp(pattern, 'i')) });
+
+  return {
+    intents: map.intents.map(compile),
+    clarifications: (map.clarifications || []).map(compile),
+    skip: map.skip || { buttons: [], text: 'Skip' }
+  };
+}
+
+/**
+ * Classify an assistant message
+ * Clarifications are tried first, so "Just to confirm, is your email ...?" is not
+ * taken for the email question.
+ * @param {string} message - Assistant message text
+ * @param {Object} intentMap - Result of loadIntentMap()
+ * @returns {{kind: 'clarification'|'intent', entry: Object}|null} Match, or null if unrecognized
+ */
+function classifyMessage(message, intentMap) {
+  const matches = entry => entry.matchers.some(matcher => matcher.test(message));
+
+  const clarification = intentMap.clarifications.find(matches);
+  if (clarification) {
+    return { kind: 'clarification', entry: clarification };
+  }
+
+  const intent = intentMap.intents.find(matches);
+  return intent ? { kind: 'intent', entry: intent } : null;
+}
+
+/**
+ * Pick the answer to a question
+ * @param {Object} intent - Intent map entry
+ * @param {Object} businessData - Scenario answers keyed by field
+ * @returns {{text: string}|{button: string}|{skip: true}|null} Answer, or null when a required field has no value
+ */
+function answerFor(intent, businessData) {
+  if (intent.answer) {
+    return { button: intent.answer };
+  }
+
+  const value = businessData[intent.field];
+  if (intent.choices) {
+    return { button: intent.choices[String(Boolean(value))] };
+  }
+
+  if (value === undefined || value === null || value === '') {
+    return intent.optional ? { skip: true } : null;
+  }
+
+  return { text: String(value) };
+}
+
+module.exports = {
+  loadIntentMap,
+  classifyMessage,
+  answerFor
+};
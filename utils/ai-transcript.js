@@ -0,0 +1,178 @@
+/**
+ * AI Conversation Transcript for AI FSI Tests
+ *
+ * This module records both sides of the AI conversation: every assistant
+ * message with the buttons it offered, every user answer with the button
+ * chosen, validation errors, timestamps and the assistant's latency per turn.
+ * The transcript is attached to test results as JSON and Markdown.
+ */
+
+/**
+ * Transcript of one AI conversation
+ */
+class ConversationTranscript {
+  constructor() {
+    this.startedAt = Date.now();
+    this.turns = [];
+    this.lastRequestAt = null;
+  }
+
+  add(turn) {
+    const now = Date.now();
+    const entry = { index: this.turns.length, timestamp: new Date(now).toISOString(), elapsedMs: now - this.startedAt, ...turn };
+    this.turns.push(entry);
+    return entry;
+  }
+
+  /**
+   * Note that something was sent to the assistant, so the next reply's latency is measured from now
+   */
+  markRequest() {
+    this.lastRequestAt = Date.now();
+  }
+
+  /**
+   * Record an assistant message
+   * @param {Object} turn - Turn details
+   * @param {string} turn.text - Full message text
+   * @param {string[]} turn.buttons - Buttons offered with the message
+   * @param {string|null} turn.intent - Question type, when classified
+   */
+  addAssistantTurn({ text, buttons = [], intent = null }) {
+    const latencyMs = this.lastRequestAt === null ? null : Date.now() - this.lastRequestAt;
+    this.lastRequestAt = null;
+    return this.add({ role: 'assistant', text, buttons, intent, latencyMs });
+  }
+
+  /**
+   * Record a user answer
+   * @param {Object} turn - Turn details
+   * @param {string} turn.text - Typed text, or the label of the button chosen
+   * @param {string|null} turn.button - Button chosen, if any
+   * @param {string|null} turn.intent - Question type being answered (defaults to the last question's)
+   */
+  addUserTurn({ text, button = null, intent }) {
+    const question = this.lastAssistantTurn();
+    this.markRequest();
+    return this.add({
+      role: 'user',
+      text,
+      button,
+      offered: question ? question.buttons : [],
+      intent: intent === undefined ? (question ? question.intent : null) : intent
+    });
+  }
+
+  /**
+   * Record a validation error shown for the last answer
+   * The same error seen again before anything else happened is recorded once.
+   * @param {string} text - Error message
+   */
+  addValidationError(text) {
+    const last = this.turns[this.turns.length - 1];
+    if (last && last.role === 'validation-error' && last.text === text) {
+      return last;
+    }
+
+    const answer = [...this.turns].reverse().find(turn => turn.role === 'user');
+    return this.add({ role: 'validation-error', text, answer: answer ? answer.text : null });
+  }
+
+  /**
+   * Label the latest assistant turn with its question type
+   */
+  setIntent(intent) {
+    const question = this.lastAssistantTurn();
+    if (question) {
+      question.intent = intent;
+    }
+  }
+
+  lastAssistantTurn() {
+    return [...this.turns].reverse().find(turn => turn.role === 'assistant') || null;
+  }
+
+  /**
+   * Turns of one role
+   * @param {string} role - 'assistant', 'user' or 'validation-error'
+   */
+  byRole(role) {
+    return this.turns.filter(turn => turn.role === role);
+  }
+
+  toJSON() {
+    const latencies = this.byRole('assistant').map(turn => turn.latencyMs).filter(latency => latency !== null);
+
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      summary: {
+        assistantTurns: this.byRole('assistant').length,
+        userTurns: this.byRole('user').length,
+        validationErrors: this.byRole('validation-error').length,
+        maxLatencyMs: latencies.length > 0 ? Math.max(...latencies) : null,
+        totalLatencyMs: latencies.reduce((total, latency) => total + latency, 0)
+      },
+      turns: this.turns
+    };
+  }
+
+  /**
+   * Compact text form, for error messages
+   * @returns {string} One line per turn
+   */
+  formatText() {
+    const icons = { assistant: '🤖', user: '👤', 'validation-error': '⚠️ ' };
+    const lines = this.turns.map(turn => `  ${icons[turn.role]} ${turn.text}${turn.intent ? ` [${turn.intent}]` : ''}`);
+    return lines.join('\n') || '  (empty)';
+  }
+
+  /**
+   * Render the transcript as Markdown
+   * @returns {string} Markdown report
+   */
+  formatMarkdown() {
+    const escape = text => String(text === null || text === undefined ? '' : text).replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+    const { summary } = this.toJSON();
+
+    return [
+      '# AI Conversation Transcript',
+      '',
+      `${summary.assistantTurns} assistant turns, ${summary.userTurns} answers, ${summary.validationErrors} validation errors; ` +
+        `slowest reply ${summary.maxLatencyMs === null ? '-' : `${(summary.maxLatencyMs / 1000).toFixed(1)}s`}`,
+      '',
+      '| # | Time | Role | Message | Buttons | Intent | Latency |',
+      '| --- | --- | --- | --- | --- | --- | --- |',
+      ...this.turns.map(turn => {
+        const buttons = turn.role === 'assistant'
+          ? turn.buttons.join(', ')
+          : (turn.offered || []).map(label => (label === turn.button ? `**${label}**` : label)).join(', ');
+        const latency = turn.latencyMs === null || turn.latencyMs === undefined ? '' : `${(turn.latencyMs / 1000).toFixed(1)}s`;
+        return `| ${turn.index + 1} | ${(turn.elapsedMs / 1000).toFixed(1)}s | ${turn.role} | ${escape(turn.text)} | ${escape(buttons)} | ${turn.intent || ''} | ${latency} |`;
+      }),
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Attach the transcript JSON and Markdown to the Playwright report
+   * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+   */
+  async attach(testInfo) {
+    if (this.turns.length === 0) {
+      return;
+    }
+
+    await testInfo.attach('ai-transcript.json', {
+      body: JSON.stringify(this, null, 2),
+      contentType: 'application/json'
+    });
+    await testInfo.attach('ai-transcript.md', {
+      body: this.formatMarkdown(),
+      contentType: 'text/markdown'
+    });
+  }
+}
+
+module.exports = {
+  ConversationTranscript
+};
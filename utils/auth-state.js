@@ -0,0 +1,165 @@
+/**
+ * Authenticated Storage State Helpers for Playwright Tests
+ *
+ * This module persists logged-in WordPress sessions per role so that tests
+ * can start already authenticated instead of going through wp-login.php.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+/**
+ * Credentials for each role that has a saved session
+ * `admin` is the existing site administrator (the network's super admin from
+ * multisite.credentials on multisite runs); the others, including a second
+ * `administrator`, are provisioned by RoleProvisioner.
+ * @param {Object} config - Test configuration
+ * @returns {Object} Credentials keyed by role
+ */
+function buildRoleCredentials(config = getConfig()) {
+  const networkAdmin = config.multisite.enabled && config.multisite.credentials.username;
+  const admin = networkAdmin ? config.multisite.credentials : config.wordpress.credentials;
+  const credentials = {
+    admin: { wpRole: 'administrator', username: admin.username, password: admin.password }
+  };
+
+  Object.entries(config.roles.users).forEach(([role, username]) => {
+    credentials[role] = { wpRole: role, username, password: config.roles.password };
+  });
+
+  return credentials;
+}
+
+const ROLE_CREDENTIALS = buildRoleCredentials();
+
+/**
+ * Get the storage state file for a role
+ * @param {string} role - Role key
+ * @returns {string} Path to the storage state JSON file
+ */
+function getStorageStatePath(role = 'admin') {
+  return path.join(getConfig().auth.stateDir, `${role}.json`);
+}
+
+/**
+ * Get login credentials for a role
+ * @param {string} role - Role key
+ * @returns {{wpRole: string, username: string, password: string}}
+ */
+function getRoleCredentials(role = 'admin') {
+  const credentials = ROLE_CREDENTIALS[role];
+  if (!credentials) {
+    throw new Error(`No credentials configured for role: ${role}`);
+  }
+  return credentials;
+}
+
+/**
+ * Check whether a saved storage state is missing or its login cookie has expired
+ * @param {string} statePath - Path to the storage state file
+ * @returns {boolean} True if the state cannot be reused
+ */
+function isStorageStateExpired(statePath) {
+  if (!fs.existsSync(statePath)) {
+    return true;
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    const authCookie = (state.cookies || []).find(cookie => cookie.name.startsWith('wordpress_logged_in_'));
+
+    if (!authCookie) {
+      return true;
+    }
+
+    // Session cookies report expires = -1; only the live check can tell if those are still valid
+    // Sessions expiring within the margin are refreshed rather than risk a mid-run logout
+    return authCookie.expires > 0 && authCookie.expires * 1000 - getConfig().auth.expiryMarginMs < Date.now();
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Verify a saved session is still accepted by WordPress
+ * @param {import('@playwright/test').Browser} browser - Browser instance
+ * @param {string} baseURL - WordPress base URL
+ * @param {string} statePath - Path to the storage state file
+ * @returns {boolean} True if wp-admin loads without a login redirect
+ */
+async function isSessionValid(browser, baseURL, statePath) {
+  const context = await browser.newContext({ baseURL, storageState: statePath, ignoreHTTPSErrors: true });
+  const page = await context.newPage();
+
+  try {
+    await page.goto('/wp-admin/');
+    return await page.locator('#wpadminbar').isVisible();
+  } catch {
+    return false;
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Log in as a role and write the resulting session to its storage state file
+ * @param {import('@playwright/test').Browser} browser - Browser instance
+ * @param {string} baseURL - WordPress base URL
+ * @param {string} role - Role key
+ */
+async function loginAndSaveState(browser, baseURL, role = 'admin') {
+  const config = getConfig();
+  const selectors = config.selectors.login;
+  const { username, password } = getRoleCredentials(role);
+  const statePath = getStorageStatePath(role);
+  const context = await browser.newContext({ baseURL, ignoreHTTPSErrors: true });
+  const page = await context.newPage();
+
+  try {
+    await page.goto(config.wordpress.loginPath);
+    await page.fill(selectors.username, username);
+    await page.fill(selectors.password, password);
+    await page.check(selectors.rememberMe);
+    await page.click(selectors.submit);
+
+    await page.waitForSelector('#wpadminbar', { timeout: config.timeouts.pageLoad });
+
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    await context.storageState({ path: statePath });
+    console.log(`💾 Saved ${role} session to: ${statePath}`);
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Make sure a valid storage state exists for a role, logging in again if it expired
+ * @param {import('@playwright/test').Browser} browser - Browser instance
+ * @param {string} baseURL - WordPress base URL
+ * @param {string} role - Role key
+ * @returns {string} Path to the storage state file
+ */
+async function ensureStorageState(browser, baseURL, role = 'admin') {
+  const statePath = getStorageStatePath(role);
+
+  if (!isStorageStateExpired(statePath) && await isSessionValid(browser, baseURL, statePath)) {
+    console.log(`✅ Reusing saved ${role} session: ${statePath}`);
+    return statePath;
+  }
+
+  console.log(`🔐 No valid ${role} session found, logging in...`);
+  await loginAndSaveState(browser, baseURL, role);
+  return statePath;
+}
+
+module.exports = {
+  ROLE_CREDENTIALS,
+  buildRoleCredentials,
+  getStorageStatePath,
+  getRoleCredentials,
+  isStorageStateExpired,
+  isSessionValid,
+  loginAndSaveState,
+  ensureStorageState
+};
@@ -0,0 +1,491 @@
+/**
+ * Unified Configuration Loader for Templately Playwright Tests
+ *
+ * This module merges every configuration source into one validated object
+ * that is injected into the helper classes. Precedence, highest first:
+ *
+ * 1. Environment variables (WP_* shortcuts, or TEMPLATELY__<SECTION>__<KEY> for any key)
+ * 2. Local override file (playwright.local.json, or the path in TEMPLATELY_CONFIG)
+ * 3. playwright.json
+ * 4. Defaults, seeded from testConfiguration in data/test-business-data.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Every supported key with its type and default value
+ * Types: string, url, regex, boolean, integer, timeout (integer milliseconds >= 0), ratio (number from 0 to 1)
+ * Strings may also declare an `enum` of allowed values, a `pattern`, or `optional` to allow ''.
+ */
+const CONFIG_SCHEMA = {
+  'wordpress.baseUrl': { type: 'url', default: 'http://localhost:8080' },
+  'wordpress.loginPath': { type: 'string', default: '/wp-login.php' },
+  'wordpress.credentials.username': { type: 'string', default: 'admin' },
+  'wordpress.credentials.password': { type: 'string', default: 'password' },
+
+  'roles.password': { type: 'string', default: 'Templately#Role-Test-2024' },
+  'roles.users.editor': { type: 'string', default: 'templately_editor' },
+  'roles.users.author': { type: 'string', default: 'templately_author' },
+  'roles.users.contributor': { type: 'string', default: 'templately_contributor' },
+  'roles.users.subscriber': { type: 'string', default: 'templately_subscriber' },
+  'roles.users.administrator': { type: 'string', default: 'templately_admin2' },
+
+  'permissions.fsiImportRoute': { type: 'string', default: 'templately/v1/import/pack' },
+  'permissions.aiImportRoute': { type: 'string', default: 'templately/v1/ai-content/generate' },
+
+  'auth.stateDir': { type: 'string', default: 'tests/.auth' },
+  'auth.expiryMarginMs': { type: 'timeout', default: 600000 },
+
+  'multisite.enabled': { type: 'boolean', default: false },
+  'multisite.networkUrl': { type: 'url' },
+  'multisite.testSiteUrl': { type: 'url' },
+  'multisite.blogId': { type: 'integer', min: 1 },
+  'multisite.subsiteSlug': { type: 'string', default: 'templately-e2e', pattern: /^[a-z0-9-]+$/ },
+  'multisite.credentials.username': { type: 'string', optional: true, default: '' },
+  'multisite.credentials.password': { type: 'string', optional: true, default: '' },
+  'multisite.pages.dashboard': { type: 'string', optional: true, default: '' },
+  'multisite.pages.library': { type: 'string', optional: true, default: '' },
+  'multisite.pages.settings': { type: 'string', optional: true, default: '' },
+
+  'platform.builder': { type: 'string', enum: ['elementor', 'gutenberg'], default: 'elementor' },
+
+  'pages.dashboard': { type: 'string', default: '/wp-admin/admin.php?page=templately' },
+  'pages.library': { type: 'string', default: '/wp-admin/edit.php?post_type=templately_library' },
+  'pages.settings': { type: 'string', default: '/wp-admin/admin.php?page=templately_settings' },
+
+  'selectors.login.username': { type: 'string', default: '#user_login' },
+  'selectors.login.password': { type: 'string', default: '#user_pass' },
+  'selectors.login.submit': { type: 'string', default: '#wp-submit' },
+  'selectors.login.rememberMe': { type: 'string', default: '#rememberme' },
+
+  'timeouts.action': { type: 'timeout', default: 30000 },
+  'timeouts.navigation': { type: 'timeout', default: 60000 },
+  'timeouts.test': { type: 'timeout', default: 300000 },
+  'timeouts.expect': { type: 'timeout', default: 30000 },
+  'timeouts.aiTest': { type: 'timeout', default: 600000 },
+  'timeouts.pageLoad': { type: 'timeout', default: 10000 },
+  'timeouts.elementWait': { type: 'timeout', default: 5000 },
+  'timeouts.networkRequest': { type: 'timeout', default: 30000 },
+  'timeouts.templatelyLoad': { type: 'timeout', default: 15000 },
+  'timeouts.modal': { type: 'timeout', default: 10000 },
+  'timeouts.searchSettle': { type: 'timeout', default: 2000 },
+  'timeouts.dependencyCheck': { type: 'timeout', default: 30000 },
+  'timeouts.dependencyInstall': { type: 'timeout', default: 60000 },
+  'timeouts.importProgress': { type: 'timeout', default: 300000 },
+  'timeouts.importPoll': { type: 'timeout', default: 2000 },
+  'timeouts.previewLoad': { type: 'timeout', default: 30000 },
+  'timeouts.aiStart': { type: 'timeout', default: 15000 },
+  'timeouts.aiMessage': { type: 'timeout', default: 30000 },
+  'timeouts.aiGenerationStart': { type: 'timeout', default: 30000 },
+  'timeouts.aiGeneration': { type: 'timeout', default: 300000 },
+  'timeouts.aiPoll': { type: 'timeout', default: 3000 },
+
+  'retries.maxAttempts': { type: 'integer', min: 1, default: 3 },
+  'retries.delay': { type: 'timeout', default: 2000 },
+  'retries.testRetries': { type: 'integer', min: 0, default: 2 },
+
+  'mockCloud.urlPattern': { type: 'string', default: '**/app.templately.com/api/**' },
+  'mockCloud.fixtureDir': { type: 'string', default: 'data/mock-cloud' },
+  'mockCloud.port': { type: 'integer', min: 0, default: 8765 },
+  'mockCloud.serverUrl': { type: 'string', optional: true, default: '' },
+
+  'mockAI.urlPattern': { type: 'string', default: '**/ai-content/**' },
+  'mockAI.scriptDir': { type: 'string', default: 'data/ai-scripts' },
+  'mockAI.defaultScript': { type: 'string', default: 'default' },
+
+  'ai.intentMap': { type: 'string', default: 'data/ai-intents.json' },
+  'ai.maxTurns': { type: 'integer', min: 1, default: 25 },
+  'ai.fuzzCases': { type: 'string', default: 'data/ai-fuzz-inputs.json' },
+
+  'har.mode': { type: 'string', enum: ['off', 'record', 'replay'], default: 'off' },
+  'har.dir': { type: 'string', default: 'data/har' },
+  'har.version': { type: 'string', default: 'v1', pattern: /^[\w.-]+$/ },
+  'har.urlPattern': { type: 'regex', default: 'templately|admin-ajax\\.php|/wp-json/' },
+
+  'snapshot.enabled': { type: 'boolean', default: false },
+  'snapshot.wpCli': { type: 'string', default: 'wp' },
+  'snapshot.wpPath': { type: 'string', optional: true, default: '' },
+  'snapshot.dir': { type: 'string', default: 'tests/snapshots' },
+
+  'performance.stallSeconds': { type: 'integer', min: 1, default: 30 },
+
+  'reimport.policy': { type: 'string', enum: ['replace', 'merge'], default: 'replace' },
+
+  'branding.fixtureDir': { type: 'string', default: 'tests/data/logos' },
+  'branding.maxLogoBytes': { type: 'integer', min: 1, default: 5242880 },
+
+  'interruption.progressPoints': { type: 'string', default: '10,50,90', pattern: /^\d{1,2}(,\d{1,2})*$/ },
+  'interruption.methods': { type: 'string', default: 'reload,navigate,close-context', pattern: /^(reload|navigate|close-context)(,(reload|navigate|close-context))*$/ },
+
+  'responsive.devices': { type: 'string', default: 'desktop,tablet,mobile', pattern: /^(desktop|tablet|mobile)(,(desktop|tablet|mobile))*$/ },
+  'responsive.breakpoints': { type: 'string', default: '360x740,768x1024,1280x720,1920x1080', pattern: /^\d+x\d+(,\d+x\d+)*$/ },
+
+  'a11y.baselineDir': { type: 'string', default: 'data/a11y-baselines' },
+  'a11y.updateBaseline': { type: 'boolean', default: false },
+
+  'visual.baselineDir': { type: 'string', default: 'data/visual-baselines' },
+  'visual.threshold': { type: 'ratio', default: 0.2 },
+  'visual.maxDiffPixelRatio': { type: 'ratio', default: 0.01 },
+
+  'content.threshold': { type: 'ratio', default: 0.75 },
+  'content.fuzzyRatio': { type: 'ratio', default: 0.85 },
+  'content.synonyms': { type: 'string', default: 'data/content-synonyms.json' },
+  'content.maxPages': { type: 'integer', min: 1, default: 10 },
+
+  'language.minShare': { type: 'ratio', default: 0.6 },
+  'language.minLetters': { type: 'integer', min: 1, default: 40 },
+
+  'artifacts.screenshotDir': { type: 'string', default: 'tests/screenshots' },
+  'artifacts.screenshotOnFailure': { type: 'boolean', default: true },
+  'artifacts.videoOnFailure': { type: 'boolean', default: true },
+  'artifacts.traceOnFailure': { type: 'boolean', default: true }
+};
+
+/**
+ * Shortcut environment variables kept for compatibility with existing .env files
+ */
+const ENV_ALIASES = {
+  WP_BASE_URL: 'wordpress.baseUrl',
+  WP_USERNAME: 'wordpress.credentials.username',
+  WP_PASSWORD: 'wordpress.credentials.password',
+  WP_ROLE_PASSWORD: 'roles.password',
+  WP_EDITOR_USERNAME: 'roles.users.editor',
+  WP_AUTHOR_USERNAME: 'roles.users.author',
+  WP_CONTRIBUTOR_USERNAME: 'roles.users.contributor',
+  WP_SUBSCRIBER_USERNAME: 'roles.users.subscriber',
+  WP_SECOND_ADMIN_USERNAME: 'roles.users.administrator',
+  WP_AUTH_DIR: 'auth.stateDir',
+  WP_MULTISITE: 'multisite.enabled',
+  WP_NETWORK_URL: 'multisite.networkUrl',
+  WP_TEST_SITE_URL: 'multisite.testSiteUrl',
+  WP_TEST_BLOG_ID: 'multisite.blogId',
+  WP_TEST_SUBSITE: 'multisite.subsiteSlug',
+  TEMPLATELY_HAR_MODE: 'har.mode',
+  TEMPLATELY_MOCK_CLOUD_URL: 'mockCloud.serverUrl',
+  TEMPLATELY_AI_INTENTS: 'ai.intentMap',
+  TEMPLATELY_PLATFORM: 'platform.builder',
+  WP_SNAPSHOT: 'snapshot.enabled',
+  WP_CLI: 'snapshot.wpCli',
+  WP_PATH: 'snapshot.wpPath',
+  TEMPLATELY_INTERRUPT_AT: 'interruption.progressPoints',
+  TEMPLATELY_INTERRUPT_METHODS: 'interruption.methods',
+  TEMPLATELY_REIMPORT_POLICY: 'reimport.policy',
+  TEMPLATELY_BREAKPOINTS: 'responsive.breakpoints',
+  TEMPLATELY_A11Y_UPDATE_BASELINE: 'a11y.updateBaseline',
+  TEMPLATELY_CONTENT_THRESHOLD: 'content.threshold'
+};
+
+/**
+ * Read a JSON file, failing with the file name on syntax errors
+ * @param {string} filePath - Absolute file path
+ * @returns {Object|null} Parsed JSON, or null if the file does not exist
+ */
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid configuration: ${path.relative(ROOT_DIR, filePath)} is not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Strip the origin from an absolute URL, keeping path and query
+ * @param {string} url - Absolute or relative URL
+ * @returns {string} Site-relative path
+ */
+function toSitePath(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Map testConfiguration from the business test data onto config keys
+ * @param {Object} testData - Parsed test-business-data.json
+ * @returns {Object} Flat values keyed by config key
+ */
+function fromTestData(testData) {
+  const settings = (testData && testData.testConfiguration) || {};
+
+  return {
+    'timeouts.expect': settings.defaultTimeout,
+    'timeouts.test': settings.longTimeout,
+    'timeouts.aiTest': settings.aiTimeout,
+    'retries.testRetries': settings.retryAttempts,
+    'artifacts.screenshotOnFailure': settings.screenshotOnFailure,
+    'artifacts.videoOnFailure': settings.videoOnFailure,
+    'artifacts.traceOnFailure': settings.traceOnFailure
+  };
+}
+
+/**
+ * Map playwright.json onto config keys
+ * Its credentials and page URLs describe the multisite network, so they only
+ * apply to multisite runs and never replace the single-site defaults.
+ * @param {Object} playwrightJson - Parsed playwright.json
+ * @returns {Object} Flat values keyed by config key
+ */
+function fromPlaywrightJson(playwrightJson) {
+  const { environment = {}, authentication = {}, templately = {}, testing = {} } = playwrightJson || {};
+  const pages = templately.pages || {};
+  const selectors = authentication.selectors || {};
+  const credentials = authentication.credentials || {};
+
+  return {
+    'wordpress.loginPath': authentication.loginUrl && toSitePath(authentication.loginUrl),
+    'multisite.networkUrl': environment.baseUrl,
+    'multisite.testSiteUrl': environment.testSiteUrl,
+    'multisite.blogId': environment.blogId,
+    'multisite.credentials.username': credentials.username,
+    'multisite.credentials.password': credentials.password,
+    'multisite.pages.dashboard': pages.dashboard && toSitePath(pages.dashboard.url),
+    'multisite.pages.library': pages.library && toSitePath(pages.library.url),
+    'multisite.pages.settings': pages.settings && toSitePath(pages.settings.url),
+    'selectors.login.username': selectors.usernameField,
+    'selectors.login.password': selectors.passwordField,
+    'selectors.login.submit': selectors.loginButton,
+    'selectors.login.rememberMe': selectors.rememberMe,
+    'timeouts.pageLoad': testing.timeouts && testing.timeouts.pageLoad,
+    'timeouts.elementWait': testing.timeouts && testing.timeouts.elementWait,
+    'timeouts.networkRequest': testing.timeouts && testing.timeouts.networkRequest,
+    'retries.maxAttempts': testing.retries && testing.retries.maxAttempts,
+    'retries.delay': testing.retries && testing.retries.delayBetweenAttempts
+  };
+}
+
+/**
+ * Flatten a nested override object into dotted config keys
+ * @param {Object} value - Nested object
+ * @param {string} prefix - Key prefix
+ * @returns {Object} Flat values keyed by config key
+ */
+function flatten(value, prefix = '') {
+  return Object.entries(value || {}).reduce((flat, [key, child]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+
+    if (child && typeof child === 'object' && !Array.isArray(child) && !CONFIG_SCHEMA[fullKey]) {
+      Object.assign(flat, flatten(child, fullKey));
+    } else {
+      flat[fullKey] = child;
+    }
+
+    return flat;
+  }, {});
+}
+
+/**
+ * Collect config keys set through environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} Flat values keyed by config key
+ */
+function fromEnv(env) {
+  const values = {};
+
+  Object.entries(ENV_ALIASES).forEach(([name, key]) => {
+    if (env[name] !== undefined && env[name] !== '') {
+      values[key] = { value: env[name], source: `env ${name}` };
+    }
+  });
+
+  Object.keys(CONFIG_SCHEMA).forEach(key => {
+    const name = `TEMPLATELY__${key.toUpperCase().replace(/\./g, '__')}`;
+    if (env[name] !== undefined && env[name] !== '') {
+      values[key] = { value: env[name], source: `env ${name}` };
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Coerce and validate a single value against its schema entry
+ * @returns {{value: *, error: string|null}}
+ */
+function coerce(rule, value) {
+  const fromString = typeof value === 'string';
+
+  switch (rule.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return { value, error: null };
+      }
+      if (fromString && /^(1|0|true|false|yes|no)$/i.test(value)) {
+        return { value: /^(1|true|yes)$/i.test(value), error: null };
+      }
+      return { value, error: 'must be a boolean' };
+
+    case 'integer':
+    case 'timeout': {
+      const number = fromString && value.trim() !== '' ? Number(value) : value;
+      const min = rule.type === 'timeout' ? 0 : rule.min;
+      if (!Number.isInteger(number) || (min !== undefined && number < min)) {
+        return { value, error: rule.type === 'timeout' ? 'must be a non-negative number of milliseconds' : `must be an integer >= ${min}` };
+      }
+      return { value: number, error: null };
+    }
+
+    case 'ratio': {
+      const number = fromString && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || Number.isNaN(number) || number < 0 || number > 1) {
+        return { value, error: 'must be a number from 0 to 1' };
+      }
+      return { value: number, error: null };
+    }
+
+    case 'url':
+      if (typeof value !== 'string' || !/^https?:\/\//.test(value)) {
+        return { value, error: 'must be an http(s) URL' };
+      }
+      try {
+        new URL(value);
+      } catch {
+        return { value, error: 'must be an http(s) URL' };
+      }
+      return { value: value.replace(/\/$/, ''), error: null };
+
+    case 'regex':
+      try {
+        new RegExp(value);
+      } catch (error) {
+        return { value, error: `must be a valid regular expression (${error.message})` };
+      }
+      return { value, error: null };
+
+    default:
+      if (typeof value !== 'string' || (value === '' && !rule.optional)) {
+        return { value, error: 'must be a non-empty string' };
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return { value, error: `must be one of: ${rule.enum.join(', ')}` };
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return { value, error: `must match ${rule.pattern}` };
+      }
+      return { value, error: null };
+  }
+}
+
+/**
+ * Expand dotted keys into a nested object
+ * @param {Object} flat - Values keyed by dotted config key
+ * @returns {Object} Nested config object
+ */
+function unflatten(flat) {
+  const nested = {};
+
+  Object.entries(flat).forEach(([key, value]) => {
+    const parts = key.split('.');
+    let node = nested;
+    parts.slice(0, -1).forEach(part => {
+      node = node[part] = node[part] || {};
+    });
+    node[parts[parts.length - 1]] = value;
+  });
+
+  return nested;
+}
+
+/**
+ * Load, merge and validate configuration from every source
+ * @param {Object} options - Loader options
+ * @param {Object} options.env - Environment variables (defaults to process.env)
+ * @param {string} options.overridePath - Local override file (defaults to TEMPLATELY_CONFIG or playwright.local.json)
+ * @returns {Object} Frozen, nested configuration
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const overridePath = path.resolve(ROOT_DIR, options.overridePath || env.TEMPLATELY_CONFIG || 'playwright.local.json');
+
+  const layers = [
+    ['defaults', Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, rule]) => [key, rule.default]))],
+    ['data/test-business-data.json', fromTestData(readJson(path.join(ROOT_DIR, 'data/test-business-data.json')))],
+    ['playwright.json', fromPlaywrightJson(readJson(path.join(ROOT_DIR, 'playwright.json')))],
+    [path.relative(ROOT_DIR, overridePath), flatten(readJson(overridePath))]
+  ];
+
+  const errors = [];
+  const merged = {};
+
+  layers.forEach(([source, values]) => {
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === undefined || value === null) {
+        return;
+      }
+      if (!CONFIG_SCHEMA[key]) {
+        errors.push(`Unknown configuration key "${key}" in ${source}`);
+        return;
+      }
+      merged[key] = { value, source };
+    });
+  });
+
+  Object.assign(merged, fromEnv(env));
+
+  const resolved = {};
+
+  Object.entries(CONFIG_SCHEMA).forEach(([key, rule]) => {
+    if (!merged[key]) {
+      errors.push(`Missing required configuration key "${key}"`);
+      return;
+    }
+
+    const { value, source } = merged[key];
+    const result = coerce(rule, value);
+
+    if (result.error) {
+      errors.push(`"${key}" ${result.error} (got ${JSON.stringify(value)} from ${source})`);
+    } else {
+      resolved[key] = result.value;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return Object.freeze(unflatten(resolved));
+}
+
+let cachedConfig = null;
+
+/**
+ * Get the shared configuration, loading it on first use
+ * @returns {Object} Frozen, nested configuration
+ */
+function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+/**
+ * Templately admin pages of the site under test
+ * Multisite runs use the pages set in multisite.pages, single-site runs always use pages.
+ * @param {Object} config - Test configuration
+ * @returns {{dashboard: string, library: string, settings: string}} Site-relative paths
+ */
+function getSitePages(config = getConfig()) {
+  if (!config.multisite.enabled) {
+    return config.pages;
+  }
+  return Object.fromEntries(Object.entries(config.pages).map(([name, url]) => [name, config.multisite.pages[name] || url]));
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  ENV_ALIASES,
+  loadConfig,
+  getConfig,
+  getSitePages
+};
@@ -0,0 +1,479 @@
+/**
+ * Semantic Content Scoring for AI-Generated Sites
+ *
+ * This module collects the text of every generated page and scores it against
+ * the `expectedContent` concepts of a business scenario. Concepts match with
+ * stemming, synonyms from content.synonyms (data/content-synonyms.json) and
+ * fuzzy word matching, so rewording by the AI does not fail the test; the
+ * report shows which concepts were found on which page, and how.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+// Words ignored when matching concepts
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'with', 'to', 'in', 'on', 'at', 'by', 'our', 'your', 'we', 'you']);
+
+// Stems shorter than this keep the whole word, so short words are not merged
+const MIN_STEM_LENGTH = 3;
+
+// Snowball English (Porter2) stemmer tables
+const VOWELS = 'aeiouy';
+const DOUBLES = ['bb', 'dd', 'ff', 'gg', 'mm', 'nn', 'pp', 'rr', 'tt'];
+const LI_ENDINGS = 'cdeghkmnrt';
+const R1_PREFIXES = ['gener', 'commun', 'arsen'];
+
+// Words with irregular stems, and words left as they are
+const EXCEPTIONS = {
+  skis: 'ski', skies: 'sky', dying: 'die', lying: 'lie', tying: 'tie', idly: 'idl', gently: 'gentl',
+  ugly: 'ugli', early: 'earli', only: 'onli', singly: 'singl',
+  sky: 'sky', news: 'news', howe: 'howe', atlas: 'atlas', cosmos: 'cosmos', bias: 'bias', andes: 'andes'
+};
+const INVARIANT_AFTER_STEP_1A = ['inning', 'outing', 'canning', 'herring', 'earring', 'proceed', 'exceed', 'succeed'];
+
+const STEP_2 = {
+  tional: 'tion', enci: 'ence', anci: 'ance', abli: 'able', entli: 'ent', izer: 'ize', ization: 'ize',
+  ational: 'ate', ation: 'ate', ator: 'ate', alism: 'al', aliti: 'al', alli: 'al', fulness: 'ful',
+  ousli: 'ous', ousness: 'ous', iveness: 'ive', iviti: 'ive', biliti: 'ble', bli: 'ble', ogi: 'og',
+  fulli: 'ful', lessli: 'less', li: ''
+};
+const STEP_3 = {
+  tional: 'tion', ational: 'ate', alize: 'al', icate: 'ic', iciti: 'ic', ical: 'ic', ful: '', ness: '', ative: ''
+};
+const STEP_4 = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ism', 'ate', 'iti', 'ous',
+  'ive', 'ize', 'ion'
+];
+
+// Words of context kept on each side of a match in the report
+const EXCERPT_WORDS = 6;
+
+const isVowel = letter => VOWELS.includes(letter);
+
+/**
+ * Start of the region after the first non-vowel following a vowel
+ */
+function regionAfter(word, from) {
+  for (let index = from + 1; index < word.length; index++) {
+    if (!isVowel(word[index]) && isVowel(word[index - 1])) {
+      return index + 1;
+    }
+  }
+  return word.length;
+}
+
+/**
+ * Whether a word ends in a short syllable: a vowel between non-vowels (the last not
+ * w, x or Y), or a vowel then a non-vowel at the start of the word
+ */
+function endsInShortSyllable(word) {
+  const [a, b, c] = word.slice(-3);
+  if (word.length === 2) {
+    return isVowel(word[0]) && !isVowel(word[1]);
+  }
+  return word.length > 2 && !isVowel(a) && isVowel(b) && !isVowel(c) && !'wxY'.includes(c);
+}
+
+/**
+ * Longest of the given suffixes the word ends with
+ */
+function longestSuffix(word, suffixes) {
+  return suffixes.filter(suffix => word.endsWith(suffix)).sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * Reduce a word to its stem with the Snowball English (Porter2) stemmer
+ * Stems shorter than MIN_STEM_LENGTH keep the whole word.
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 2) {
+    return word;
+  }
+  if (EXCEPTIONS[word]) {
+    return EXCEPTIONS[word];
+  }
+
+  // A y at the start or after a vowel is a consonant
+  let w = word.replace(/^y/, 'Y').replace(/([aeiouy])y/g, '$1Y');
+  const prefix = R1_PREFIXES.find(candidate => w.startsWith(candidate));
+  const r1 = prefix ? prefix.length : regionAfter(w, 0);
+  const r2 = regionAfter(w, r1);
+  const inR1 = suffix => w.length - suffix.length >= r1;
+  const inR2 = suffix => w.length - suffix.length >= r2;
+  const replace = (suffix, replacement) => {
+    w = w.slice(0, w.length - suffix.length) + replacement;
+  };
+  const isShort = () => endsInShortSyllable(w) && r1 >= w.length;
+
+  // Step 1a: plurals
+  const plural = longestSuffix(w, ['sses', 'ied', 'ies', 'us', 'ss', 's']);
+  if (plural === 'sses') {
+    replace('sses', 'ss');
+  } else if (plural === 'ied' || plural === 'ies') {
+    replace(plural, w.length > 4 ? 'i' : 'ie');
+  } else if (plural === 's' && /[aeiouy]/.test(w.slice(0, -2))) {
+    replace('s', '');
+  }
+  if (INVARIANT_AFTER_STEP_1A.includes(w)) {
+    return w;
+  }
+
+  // Step 1b: past tenses and gerunds
+  const ending = longestSuffix(w, ['eed', 'eedly', 'ed', 'edly', 'ing', 'ingly']);
+  if (ending === 'eed' || ending === 'eedly') {
+    if (inR1(ending)) {
+      replace(ending, 'ee');
+    }
+  } else if (ending && /[aeiouy]/.test(w.slice(0, -ending.length))) {
+    replace(ending, '');
+    if (['at', 'bl', 'iz'].some(suffix => w.endsWith(suffix))) {
+      w += 'e';
+    } else if (DOUBLES.some(double => w.endsWith(double))) {
+      w = w.slice(0, -1);
+    } else if (isShort()) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: final y after a consonant
+  if (w.length > 2 && /[yY]$/.test(w) && !isVowel(w[w.length - 2])) {
+    w = `${w.slice(0, -1)}i`;
+  }
+
+  // Step 2: derivational suffixes in R1
+  const second = longestSuffix(w, Object.keys(STEP_2));
+  if (second && inR1(second)) {
+    if (second === 'ogi') {
+      if (w.endsWith('logi')) {
+        replace(second, 'og');
+      }
+    } else if (second === 'li') {
+      if (LI_ENDINGS.includes(w[w.length - 3])) {
+        replace(second, '');
+      }
+    } else {
+      replace(second, STEP_2[second]);
+    }
+  }
+
+  // Step 3: more derivational suffixes in R1
+  const third = longestSuffix(w, Object.keys(STEP_3));
+  if (third && inR1(third) && (third !== 'ative' || inR2(third))) {
+    replace(third, STEP_3[third]);
+  }
+
+  // Step 4: suffixes in R2
+  const fourth = longestSuffix(w, STEP_4);
+  if (fourth && inR2(fourth) && (fourth !== 'ion' || /[st]$/.test(w.slice(0, -3)))) {
+    replace(fourth, '');
+  }
+
+  // Step 5: final e and double l
+  if (w.endsWith('e') && (inR2('e') || (inR1('e') && !endsInShortSyllable(w.slice(0, -1))))) {
+    w = w.slice(0, -1);
+  } else if (w.endsWith('ll') && inR2('l')) {
+    w = w.slice(0, -1);
+  }
+
+  w = w.replace(/Y/g, 'y');
+  return w.length >= MIN_STEM_LENGTH ? w : word;
+}
+
+/**
+ * Split text into words with their stems
+ * @param {string} text - Any text
+ * @returns {Array<{word: string, stem: string}>}
+ */
+function tokenize(text) {
+  const words = String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(word => ({ word, stem: stem(word) }));
+}
+
+/**
+ * Stems of the meaningful words of a term
+ */
+function termStems(term) {
+  return tokenize(term).filter(token => !STOPWORDS.has(token.word)).map(token => token.stem);
+}
+
+/**
+ * Similarity of two strings from their Levenshtein distance, from 0 to 1
+ */
+function similarity(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length, 1);
+}
+
+/**
+ * Load the synonym groups as lists of stem sequences
+ * A member that stems to a member of another group would join the two groups
+ * (fashionable and fashion), so the file is rejected.
+ * @param {Object} config - Test configuration
+ * @returns {Array<string[][]>} Groups of terms, each term a list of stems
+ */
+function loadSynonyms(config = getConfig()) {
+  const synonymsPath = path.resolve(__dirname, '..', config.content.synonyms);
+  if (!fs.existsSync(synonymsPath)) {
+    throw new Error(`Content synonyms not found: ${synonymsPath}`);
+  }
+
+  const { groups } = JSON.parse(fs.readFileSync(synonymsPath, 'utf8'));
+  const owners = new Map();
+  const conflicts = [];
+  groups.forEach((group, index) => group.forEach(member => {
+    const key = termStems(member).join(' ');
+    const owner = owners.get(key);
+    if (owner && owner.index !== index) {
+      conflicts.push(`"${member}" and "${owner.member}" (${key})`);
+    }
+    owners.set(key, { index, member });
+  }));
+  if (conflicts.length > 0) {
+    throw new Error(`Synonym groups in ${synonymsPath} share stems: ${conflicts.join(', ')}`);
+  }
+
+  return groups.map(group => group.map(termStems).filter(stems => stems.length > 0));
+}
+
+/**
+ * Alternatives for a term: the term itself, then the other members of its synonym groups
+ * @returns {Array<{stems: string[], via: string}>}
+ */
+function alternativesFor(stems, synonyms) {
+  const key = stems.join(' ');
+  const others = synonyms.filter(group => group.some(member => member.join(' ') === key))
+    .flat()
+    .filter(member => member.join(' ') !== key);
+
+  return [{ stems, via: 'stem' }, ...others.map(member => ({ stems: member, via: 'synonym' }))];
+}
+
+// Match strength, weakest last; a concept match is as strong as its weakest word
+const VIA_RANK = ['exact', 'stem', 'synonym', 'fuzzy'];
+
+/**
+ * Find a concept in tokenized text
+ * Every word of the concept (or a synonym of it, or of the whole concept) must occur,
+ * in any order, within a short window.
+ * @returns {{start: number, end: number, via: string}|null} Word range of the first match
+ */
+function findConcept(concept, tokens, { synonyms, fuzzyRatio }) {
+  const matchStems = (stems, position) => {
+    let via = 'stem';
+    for (let offset = 0; offset < stems.length; offset++) {
+      const token = tokens[position + offset];
+      if (!token) {
+        return null;
+      }
+      if (token.stem !== stems[offset]) {
+        // Fuzzy matching only for longer words, where a typo or variant spelling is likely
+        if (token.stem.length < 5 || stems[offset].length < 5 || similarity(token.stem, stems[offset]) < fuzzyRatio) {
+          return null;
+        }
+        via = 'fuzzy';
+      }
+    }
+    return via;
+  };
+
+  const weakest = vias => vias.reduce((worst, via) => (VIA_RANK.indexOf(via) > VIA_RANK.indexOf(worst) ? via : worst), 'exact');
+
+  // Positions where one word of the concept, or one of its alternatives, occurs
+  const occurrences = alternatives => tokens.flatMap((_, position) => alternatives.map(alternative => {
+    const via = matchStems(alternative.stems, position);
+    return via ? { start: position, end: position + alternative.stems.length, via: weakest([via, alternative.via]) } : null;
+  }).filter(Boolean));
+
+  const conceptStems = termStems(concept);
+
+  // The whole concept, or a synonym of the whole concept, as a phrase
+  const phrases = occurrences(alternativesFor(conceptStems, synonyms));
+  if (phrases.length > 0) {
+    return phrases.reduce((best, match) => (VIA_RANK.indexOf(match.via) < VIA_RANK.indexOf(best.via) ? match : best));
+  }
+
+  // Each word separately, within a window
+  const words = conceptStems.map(word => occurrences(alternativesFor([word], synonyms)));
+  if (words.some(found => found.length === 0)) {
+    return null;
+  }
+
+  const window = conceptStems.length * 2 + 3;
+  for (const anchor of words.flat().sort((a, b) => a.start - b.start)) {
+    const picks = words.map(found => found.find(match => match.start >= anchor.start && match.end <= anchor.start + window));
+    if (picks.every(Boolean)) {
+      return {
+        start: anchor.start,
+        end: Math.max(...picks.map(match => match.end)),
+        via: weakest(picks.map(match => match.via))
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Score page texts against expected concepts
+ * @param {Array<{title: string, url: string, text: string}>} pages - Generated pages
+ * @param {string[]} concepts - Expected concepts, e.g. expectedContent of a scenario
+ * @param {Object} options - Scoring options
+ * @param {number} options.threshold - Share of concepts that must be found
+ * @param {Array} options.synonyms - Result of loadSynonyms()
+ * @param {number} options.fuzzyRatio - Minimum similarity of fuzzy word matches
+ * @returns {{score: number, threshold: number, passed: boolean, missing: string[], concepts: Array}}
+ */
+function scoreContent(pages, concepts, { threshold, synonyms = [], fuzzyRatio = 0.85 }) {
+  const tokenized = pages.map(page => ({ ...page, tokens: tokenize(page.text) }));
+
+  const results = concepts.map(concept => {
+    const matches = tokenized.map(page => {
+      const exact = page.text.toLowerCase().includes(concept.toLowerCase());
+      const match = findConcept(concept, page.tokens, { synonyms, fuzzyRatio });
+      if (!match) {
+        return null;
+      }
+
+      const excerpt = page.tokens.slice(Math.max(0, match.start - EXCERPT_WORDS), match.end + EXCERPT_WORDS).map(token => token.word).join(' ');
+      return { page: page.title, url: page.url, via: exact ? 'exact' : match.via, excerpt };
+    }).filter(Boolean);
+
+    return { concept, found: matches.length > 0, matches };
+  });
+
+  const found = results.filter(result => result.found).length;
+  const score = concepts.length > 0 ? found / concepts.length : 1;
+
+  return {
+    score,
+    threshold,
+    passed: score >= threshold,
+    missing: results.filter(result => !result.found).map(result => result.concept),
+    pages: pages.map(page => ({ title: page.title, url: page.url, words: tokenize(page.text).length })),
+    concepts: results
+  };
+}
+
+/**
+ * Render a content score report as Markdown
+ * @param {Object} report - Result of scoreContent()
+ * @returns {string} Markdown report
+ */
+function formatContentReport(report) {
+  const escape = text => String(text).replace(/\|/g, '\\|');
+
+  return [
+    '# Generated Content Score',
+    '',
+    `${Math.round(report.score * 100)}% of concepts found (threshold ${Math.round(report.threshold * 100)}%): ${report.passed ? 'passed' : 'failed'}`,
+    '',
+    '| Concept | Found | Pages | Match |',
+    '| --- | --- | --- | --- |',
+    ...report.concepts.map(result => {
+      const pages = result.matches.map(match => `${escape(match.page)} (${match.via})`).join(', ');
+      const excerpt = result.matches.length > 0 ? `…${escape(result.matches[0].excerpt)}…` : '';
+      return `| ${escape(result.concept)} | ${result.found ? 'yes' : '**no**'} | ${pages} | ${excerpt} |`;
+    }),
+    '',
+    `Pages scored: ${report.pages.map(page => `${escape(page.title)} (${page.words} words)`).join(', ')}`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Links to other pages of the generated site; runs in the browser
+ */
+function collectSiteLinks() {
+  const skip = /\/wp-(admin|login|json)|\/feed\/?$|\.(jpe?g|png|gif|svg|webp|pdf|zip)$/i;
+  const links = Array.from(document.querySelectorAll('header a[href], nav a[href], footer a[href], .menu a[href]'))
+    .map(link => new URL(link.getAttribute('href'), location.href))
+    .filter(url => url.origin === location.origin && /^https?:$/.test(url.protocol) && !skip.test(url.pathname))
+    .map(url => `${url.origin}${url.pathname}${url.search}`);
+
+  return Array.from(new Set(links)).filter(url => url !== `${location.origin}${location.pathname}${location.search}`);
+}
+
+/**
+ * Collects generated pages and scores them against business scenarios
+ */
+class ContentScorer {
+  constructor(page, config = getConfig()) {
+    this.page = page;
+    this.config = config;
+  }
+
+  /**
+   * Collect the text of every page of the generated site shown in the FSI preview
+   * The preview's page is read first; pages linked from its header, navigation and
+   * footer are opened in a separate tab, up to content.maxPages in total.
+   * @param {Object} options - Options
+   * @param {Function} options.evaluate - Browser function also run on each page; its result is stored as `evaluated`
+   * @returns {Promise<Array<{title: string, url: string, text: string, evaluated?: *}>>}
+   */
+  async collectPreviewPages({ evaluate } = {}) {
+    const frame = await (await this.page.locator('.fsi-preview-iframe').elementHandle()).contentFrame();
+    await frame.waitForLoadState('load');
+
+    const read = async target => ({
+      title: await target.title(),
+      url: target.url(),
+      text: await target.locator('body').innerText(),
+      ...(evaluate ? { evaluated: await target.evaluate(evaluate) } : {})
+    });
+
+    const pages = [await read(frame)];
+    const links = (await frame.evaluate(collectSiteLinks)).slice(0, this.config.content.maxPages - 1);
+
+    if (links.length > 0) {
+      const tab = await this.page.context().newPage();
+      try {
+        for (const url of links) {
+          await tab.goto(url, { waitUntil: 'load' });
+          pages.push(await read(tab));
+        }
+      } finally {
+        await tab.close();
+      }
+    }
+
+    console.log(`📝 Collected text from ${pages.length} generated page(s)`);
+    return pages;
+  }
+
+  /**
+   * Score pages against a business scenario's expectedContent
+   * The pass threshold is the scenario's `contentThreshold`, or content.threshold.
+   * @param {Array} pages - Result of collectPreviewPages()
+   * @param {Object} scenario - Business scenario from test-business-data.json
+   * @returns {Object} Score report (see scoreContent)
+   */
+  score(pages, scenario) {
+    const report = scoreContent(pages, scenario.expectedContent || [], {
+      threshold: scenario.contentThreshold ?? this.config.content.threshold,
+      synonyms: loadSynonyms(this.config),
+      fuzzyRatio: this.config.content.fuzzyRatio
+    });
+
+    console.log(`📊 ${scenario.name || scenario.id}: ${Math.round(report.score * 100)}% of expected concepts found`);
+    return report;
+  }
+}
+
+module.exports = {
+  ContentScorer,
+  scoreContent,
+  formatContentReport,
+  loadSynonyms,
+  stem
+};
@@ -0,0 +1,242 @@
+/**
+ * Plugin Dependency Helper Functions for Playwright Tests
+ *
+ * This module reads which plugins are installed and active (over REST, or from
+ * plugins.php without an application password), compares that with what a pack
+ * requires, and uses WP-CLI to put plugins into missing, inactive or outdated
+ * states for dependency scenarios.
+ */
+
+const { getConfig } = require('./config');
+const { WordPressRestClient } = require('./wp-rest');
+const { runWpCli } = require('./wp-cli');
+
+/**
+ * Compare two dotted version strings
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Build the dependency report for one required plugin
+ * @param {Object} dependency - Entry parsed from the dependency modal
+ * @param {Object} before - Plugin state before installation
+ * @param {Object} after - Plugin state after installation
+ * @returns {Object} Report entry
+ */
+function buildDependencyEntry(dependency, before, after) {
+  const notInstalled = { installed: false, active: false, version: null };
+  const afterState = after || notInstalled;
+
+  return {
+    slug: dependency.slug,
+    name: dependency.name,
+    requiredVersion: dependency.requiredVersion,
+    before: before || notInstalled,
+    after: afterState,
+    satisfied: afterState.installed && afterState.active &&
+      (!dependency.requiredVersion || compareVersions(afterState.version, dependency.requiredVersion) >= 0)
+  };
+}
+
+/**
+ * List the report entries that are not installed, active and recent enough
+ * @param {Array<Object>} report - Result of FSIWorkflow.handleDependencyCheck()
+ * @returns {Array<string>} One line per unsatisfied plugin
+ */
+function findUnsatisfiedDependencies(report) {
+  return report.filter(entry => !entry.satisfied).map(entry =>
+    `${entry.slug}${entry.requiredVersion ? ` >= ${entry.requiredVersion}` : ''} ` +
+    `(installed: ${entry.after.installed}, active: ${entry.after.active}, version: ${entry.after.version})`);
+}
+
+/**
+ * Installed Plugin Inventory
+ */
+class PluginInventory {
+  constructor(page, config = getConfig()) {
+    this.page = page;
+    this.config = config;
+  }
+
+  /**
+   * Get every installed plugin keyed by slug
+   * @returns {Promise<Object>} Map of slug to {name, installed, active, version}
+   */
+  async getPlugins() {
+    const siteUrl = this.page.url().replace(/\/wp-admin.*/, '');
+    const client = await WordPressRestClient.create(siteUrl, this.config);
+
+    if (client) {
+      try {
+        const { status, data } = await client.get('wp/v2/plugins', { context: 'edit' });
+        if (status === 200) {
+          const plugins = {};
+          data.forEach(plugin => {
+            plugins[plugin.plugin.split('/')[0]] = {
+              name: plugin.name,
+              installed: true,
+              active: plugin.status !== 'inactive',
+              version: plugin.version
+            };
+          });
+          return plugins;
+        }
+      } finally {
+        await client.dispose();
+      }
+    }
+
+    return this.getPluginsFromAdmin(siteUrl);
+  }
+
+  /**
+   * Read installed plugins from plugins.php in a separate tab
+   * @param {string} siteUrl - Site URL
+   */
+  async getPluginsFromAdmin(siteUrl) {
+    const adminPage = await this.page.context().newPage();
+
+    try {
+      await adminPage.goto(`${siteUrl}/wp-admin/plugins.php?plugin_status=all`);
+      const rows = await adminPage.locator('#the-list tr[data-slug]:not(.plugin-update-tr)').evaluateAll(nodes => nodes.map(node => ({
+        slug: node.dataset.slug,
+        name: (node.querySelector('.plugin-title strong') || {}).textContent || node.dataset.slug,
+        active: node.classList.contains('active'),
+        version: (((node.querySelector('.plugin-version-author-uri') || {}).textContent || '').match(/Version ([\d.]+)/) || [])[1] || null
+      })));
+
+      const plugins = {};
+      rows.forEach(({ slug, ...plugin }) => {
+        plugins[slug] = { ...plugin, installed: true };
+      });
+      return plugins;
+    } finally {
+      await adminPage.close();
+    }
+  }
+}
+
+/**
+ * Arranges plugin states with WP-CLI and puts them back afterwards
+ */
+class DependencyStates {
+  constructor(config = getConfig()) {
+    this.config = config;
+    this.original = null;
+  }
+
+  async wp(args) {
+    return runWpCli(args, { config: this.config });
+  }
+
+  /**
+   * Put plugins into the requested states
+   * @param {Array<{slug: string, state: string, version: string}>} arrangement - state is one of
+   *   'missing', 'inactive', 'outdated' (installed at `version`) or 'active'
+   */
+  async arrange(arrangement) {
+    if (!this.original) {
+      this.original = JSON.parse(await this.wp(['plugin', 'list', '--fields=name,status,version', '--format=json']));
+    }
+
+    for (const { slug, state, version } of arrangement) {
+      const installed = this.original.some(plugin => plugin.name === slug);
+
+      switch (state) {
+        case 'missing':
+          if (installed) {
+            await this.wp(['plugin', 'deactivate', slug]);
+            await this.wp(['plugin', 'delete', slug]);
+          }
+          break;
+        case 'inactive':
+          if (!installed) {
+            await this.wp(['plugin', 'install', slug]);
+          }
+          await this.wp(['plugin', 'deactivate', slug]).catch(() => {});
+          break;
+        case 'outdated':
+          await this.wp(['plugin', 'install', slug, `--version=${version}`, '--force', '--activate']);
+          break;
+        case 'active':
+          await this.wp(['plugin', 'install', slug, '--activate']);
+          break;
+        default:
+          throw new Error(`Unknown dependency state "${state}" for ${slug} (expected missing, inactive, outdated or active)`);
+      }
+
+      console.log(`🔧 Dependency ${slug} arranged as ${state}${version ? ` (${version})` : ''}`);
+    }
+  }
+
+  /**
+   * Reinstall, reactivate or remove plugins so they match the state before arrange()
+   * Every plugin is attempted; plugins that cannot be put back (e.g. premium plugins
+   * wordpress.org does not host) are reported together at the end.
+   */
+  async restore() {
+    if (!this.original) {
+      return;
+    }
+
+    const original = this.original;
+    this.original = null;
+    const failures = [];
+    const attempt = async (plugin, args) => {
+      try {
+        await this.wp(args);
+        return true;
+      } catch (error) {
+        failures.push(`${plugin}: wp ${args.join(' ')} failed (${error.message.split('\n')[0]})`);
+        return false;
+      }
+    };
+
+    const current = JSON.parse(await this.wp(['plugin', 'list', '--fields=name,status,version', '--format=json']));
+
+    for (const plugin of current) {
+      if (!original.some(entry => entry.name === plugin.name)) {
+        await this.wp(['plugin', 'deactivate', plugin.name]).catch(() => {});
+        await attempt(plugin.name, ['plugin', 'delete', plugin.name]);
+      }
+    }
+
+    for (const plugin of original) {
+      const now = current.find(entry => entry.name === plugin.name);
+      if (!now || now.version !== plugin.version) {
+        if (!await attempt(plugin.name, ['plugin', 'install', plugin.name, `--version=${plugin.version}`, '--force'])) {
+          continue;
+        }
+      }
+
+      const shouldBeActive = plugin.status !== 'inactive';
+      await this.wp(['plugin', shouldBeActive ? 'activate' : 'deactivate', plugin.name]).catch(() => {});
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`Could not restore ${failures.length} plugin state(s):\n  - ${failures.join('\n  - ')}`);
+    }
+    console.log('♻️  Plugin states restored');
+  }
+}
+
+module.exports = {
+  compareVersions,
+  buildDependencyEntry,
+  findUnsatisfiedDependencies,
+  PluginInventory,
+  DependencyStates
+};
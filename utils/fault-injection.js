@@ -0,0 +1,243 @@
+/**
+ * Network Fault Injection for FSI Import Tests
+ *
+ * This module provides named fault profiles that break specific Templately
+ * network calls during an import, so tests can assert the error message,
+ * retry affordances and the WordPress state left behind. WordPress downloads
+ * and unpacks packs server-side, so download faults are served by the mock
+ * cloud server (pnpm run mock:cloud) WordPress fetches packs from; the other
+ * profiles break browser requests.
+ */
+
+const { request } = require('@playwright/test');
+const { getConfig } = require('./config');
+const { FAULT_PATH } = require('./mock-cloud');
+
+/**
+ * Is this a Templately cloud, REST or AJAX request?
+ */
+function isTemplatelyRequest(url) {
+  return /templately/i.test(url.href) || url.pathname.endsWith('/admin-ajax.php');
+}
+
+/**
+ * Is this a plugin install/activate request made while resolving dependencies?
+ */
+function isDependencyInstall(url, request) {
+  const target = `${url.pathname}${url.search} ${request.postData() || ''}`;
+  return /install-plugin|activate-plugin|dependenc|\/wp\/v2\/plugins/i.test(target);
+}
+
+/**
+ * Named fault profiles
+ * `serverFault` names a mock cloud DOWNLOAD_FAULTS entry; other profiles `match` and `respond` to browser requests.
+ * `expectedError` is matched against .import-error-message; `null` means the import must still succeed.
+ * `retryable` says whether a retry affordance must be offered.
+ * `leavesContent` says whether imported pages or templates may remain after the failure.
+ */
+const FAULT_PROFILES = {
+  'pack-download-500': {
+    description: 'pack download returns HTTP 500',
+    expectedError: /(could not|couldn't|failed to|unable to) download/i,
+    retryable: true,
+    leavesContent: false,
+    serverFault: 'download-500'
+  },
+  'dependency-install-timeout': {
+    description: 'dependency install never responds',
+    expectedError: /(install|plugin)\b.*\btimed? ?out|timed? ?out\b.*\b(install|plugin)/i,
+    retryable: true,
+    leavesContent: false,
+    match: (url, request) => isDependencyInstall(url, request),
+    respond: async (route, config) => {
+      await new Promise(resolve => setTimeout(resolve, config.timeouts.networkRequest));
+      await route.abort('timedout');
+    }
+  },
+  'truncated-zip': {
+    description: 'pack download returns a truncated zip',
+    expectedError: /(corrupt|invalid|damaged|incomplete)\b.*\b(zip|archive|package|file)|(could not|couldn't|failed to|unable to) (extract|unzip|unpack)/i,
+    retryable: true,
+    leavesContent: false,
+    serverFault: 'truncated-zip'
+  },
+  'admin-ajax-403-nonce': {
+    description: 'admin-ajax and REST calls fail the nonce check with 403',
+    expectedError: /nonce|session (has )?expired|(refresh|reload) the page/i,
+    retryable: false,
+    leavesContent: false,
+    match: (url, request) => request.method() === 'POST' && isTemplatelyRequest(url),
+    respond: (route, config, url) => url.pathname.endsWith('/admin-ajax.php')
+      ? route.fulfill({ status: 403, contentType: 'text/html', body: '-1' })
+      : route.fulfill({
+        status: 403,
+        contentType: 'application/json',
+        body: JSON.stringify({ code: 'rest_cookie_invalid_nonce', message: 'Cookie check failed', data: { status: 403 } })
+      })
+  },
+  'slow-3g': {
+    description: 'all traffic throttled to slow 3G',
+    expectedError: null,
+    retryable: false,
+    leavesContent: true,
+    // Matches the DevTools "Slow 3G" preset
+    network: { latency: 400, downloadThroughput: (500 * 1024) / 8 * 0.8, uploadThroughput: (500 * 1024) / 8 * 0.8 },
+    match: () => true,
+    respond: async route => {
+      // Fallback for browsers without CDP: delay every request by the preset latency
+      await new Promise(resolve => setTimeout(resolve, 400));
+      await route.fallback();
+    }
+  }
+};
+
+/**
+ * Applies fault profiles to a browser context, or to the mock cloud server
+ */
+class FaultInjector {
+  constructor(context, config = getConfig()) {
+    this.context = context;
+    this.config = config;
+    this.active = [];
+  }
+
+  /**
+   * Call the fault endpoint of the mock cloud server WordPress fetches packs from
+   * @param {Function} send - Sends the request with a Playwright APIRequestContext
+   * @returns {Promise<{fault: string|null, hits: number}>} Server fault state
+   */
+  async callMockCloudServer(send) {
+    const { serverUrl } = this.config.mockCloud;
+    if (!serverUrl) {
+      throw new Error('Download faults are served by the mock cloud server; set mockCloud.serverUrl (TEMPLATELY_MOCK_CLOUD_URL) to the pnpm run mock:cloud server WordPress fetches packs from');
+    }
+
+    const api = await request.newContext({ baseURL: serverUrl, timeout: this.config.timeouts.networkRequest });
+    try {
+      const response = await send(api);
+      const state = await response.json();
+      if (!response.ok()) {
+        throw new Error(`Mock cloud server fault request failed: ${state.message}`);
+      }
+      return state;
+    } finally {
+      await api.dispose();
+    }
+  }
+
+  /**
+   * Set or clear the download fault of the mock cloud server
+   * @param {string|null} fault - DOWNLOAD_FAULTS key, or null
+   */
+  async setServerFault(fault) {
+    return this.callMockCloudServer(api => api.put(FAULT_PATH, { data: { fault } }));
+  }
+
+  /**
+   * Activate a named fault profile
+   * @param {string} profileName - Key of FAULT_PROFILES
+   * @param {import('@playwright/test').Page} page - Page to throttle for network profiles
+   * @returns {Object} The applied profile
+   */
+  async apply(profileName, page) {
+    const profile = FAULT_PROFILES[profileName];
+    if (!profile) {
+      throw new Error(`Unknown fault profile: ${profileName} (available: ${Object.keys(FAULT_PROFILES).join(', ')})`);
+    }
+
+    if (profile.serverFault) {
+      await this.setServerFault(profile.serverFault);
+      this.active.push({ profileName, serverFault: profile.serverFault, hits: 0 });
+      console.log(`💥 Fault profile active on the mock cloud server: ${profileName} (${profile.description})`);
+      return profile;
+    }
+
+    let cdpSession = null;
+    if (profile.network && page) {
+      try {
+        cdpSession = await this.context.newCDPSession(page);
+        await cdpSession.send('Network.enable');
+        await cdpSession.send('Network.emulateNetworkConditions', { offline: false, ...profile.network });
+      } catch {
+        // CDP is Chromium-only; the route handler below adds latency instead
+        cdpSession = null;
+      }
+    }
+
+    const entry = { profileName, matcher: '**/*', cdpSession, hits: 0 };
+    entry.handler = async route => {
+      const request = route.request();
+      const url = new URL(request.url());
+
+      if (!profile.match(url, request)) {
+        await route.fallback();
+        return;
+      }
+
+      entry.hits++;
+      console.log(`💥 Fault "${profileName}" hit: ${request.method()} ${request.url()}`);
+      await profile.respond(route, this.config, url);
+    };
+
+    if (!cdpSession) {
+      await this.context.route(entry.matcher, entry.handler);
+    }
+
+    this.active.push(entry);
+    console.log(`💥 Fault profile active: ${profileName} (${profile.description})`);
+    return profile;
+  }
+
+  /**
+   * Apply the active profiles to a new browser context after the old one was closed
+   * Server faults stay on the mock cloud server; hit counts carry over.
+   * @param {import('@playwright/test').BrowserContext} context - Context to apply the profiles to
+   * @param {import('@playwright/test').Page} page - Page to throttle for network profiles
+   */
+  async moveTo(context, page) {
+    const moved = this.active.filter(entry => !entry.serverFault);
+    this.active = this.active.filter(entry => entry.serverFault);
+    this.context = context;
+
+    for (const { profileName, hits } of moved) {
+      await this.apply(profileName, page);
+      this.active[this.active.length - 1].hits = hits;
+    }
+  }
+
+  /**
+   * Requests the active profiles have broken so far
+   * Throttling through CDP is not counted.
+   * @returns {Promise<number>} Number of faulted requests
+   */
+  async countHits() {
+    let hits = 0;
+    for (const entry of this.active) {
+      hits += entry.serverFault ? (await this.callMockCloudServer(api => api.get(FAULT_PATH))).hits : entry.hits;
+    }
+    return hits;
+  }
+
+  /**
+   * Remove every active fault profile
+   */
+  async clear() {
+    for (const { matcher, handler, cdpSession, serverFault } of this.active) {
+      if (serverFault) {
+        await this.setServerFault(null);
+      } else if (cdpSession) {
+        await cdpSession.send('Network.emulateNetworkConditions', { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 });
+        await cdpSession.detach();
+      } else {
+        await this.context.unroute(matcher, handler);
+      }
+    }
+
+    this.active = [];
+  }
+}
+
+module.exports = {
+  FAULT_PROFILES,
+  FaultInjector
+};
@@ -0,0 +1,130 @@
+/**
+ * Shared Playwright Test Fixtures for Templately Tests
+ *
+ * This module extends the Playwright `test` object with opt-in options that
+ * projects enable through `use` in playwright.config.js.
+ */
+
+const base = require('@playwright/test');
+const { MockCloudCatalog, installMockCloud } = require('./mock-cloud');
+const { MockAIBackend, installMockAI } = require('./mock-ai');
+const { HarSession, withHarMode } = require('./har');
+const { WordPressSnapshot, diffSnapshotStates, formatSnapshotDiff } = require('./wp-snapshot');
+const { getConfig } = require('./config');
+const { withBuilderPlatform } = require('./platform-helpers');
+
+const test = base.test.extend({
+  // Builder platform whose packs the helpers import (elementor or gutenberg)
+  builderPlatform: [getConfig().platform.builder, { option: true }],
+
+  // Shared config with the project's builder platform and HAR mode; pass it to the helper classes
+  testConfig: async ({ builderPlatform, harMode }, use) => {
+    await use(withHarMode(withBuilderPlatform(getConfig(), builderPlatform), harMode));
+  },
+
+  // Serve the Templately cloud from data/mock-cloud instead of the live catalog
+  mockCloud: [false, { option: true }],
+
+  mockCloudCatalog: [async ({ context, mockCloud, testConfig }, use, testInfo) => {
+    if (!mockCloud) {
+      await use(null);
+      return;
+    }
+
+    const catalog = await installMockCloud(context, new MockCloudCatalog(testConfig));
+    await use(catalog);
+
+    if (catalog.unmatched.length > 0) {
+      await testInfo.attach('mock-cloud-unmatched.json', {
+        body: JSON.stringify(catalog.unmatched, null, 2),
+        contentType: 'application/json'
+      });
+    }
+  }, { auto: true }],
+
+  // Replay scripted AI responses from data/ai-scripts instead of calling the live AI service
+  mockAI: [false, { option: true }],
+
+  aiBackend: [async ({ context, mockAI }, use, testInfo) => {
+    if (!mockAI) {
+      await use(null);
+      return;
+    }
+
+    const backend = await installMockAI(context, new MockAIBackend());
+    await use(backend);
+    await backend.close();
+
+    if (backend.unmatched.length > 0) {
+      await testInfo.attach('mock-ai-unmatched.json', {
+        body: JSON.stringify(backend.unmatched, null, 2),
+        contentType: 'application/json'
+      });
+    }
+  }, { auto: true }],
+
+  // Record Templately traffic to data/har, or replay it instead of hitting live services
+  harMode: [getConfig().har.mode, { option: true }],
+
+  harSession: [async ({ context, harMode }, use, testInfo) => {
+    if (harMode === 'off') {
+      await use(null);
+      return;
+    }
+
+    const session = new HarSession(context, testInfo);
+    await session.start(harMode);
+    await use(session);
+    await session.finish();
+  }, { auto: true }],
+
+  // Put the mock cloud, mock AI and HAR routes on a context the test opens itself
+  installContextRoutes: async ({ mockCloudCatalog, aiBackend, harSession }, use) => {
+    await use(async context => {
+      if (mockCloudCatalog) {
+        await installMockCloud(context, mockCloudCatalog);
+      }
+      if (aiBackend) {
+        await installMockAI(context, aiBackend);
+      }
+      if (harSession) {
+        await harSession.attach(context);
+      }
+    });
+  },
+
+  // Snapshot the database and uploads before each test, report what changed and restore afterwards
+  wpSnapshot: [getConfig().snapshot.enabled, { option: true }],
+
+  siteSnapshot: [async ({ wpSnapshot }, use, testInfo) => {
+    if (!wpSnapshot) {
+      await use(null);
+      return;
+    }
+
+    const snapshot = new WordPressSnapshot();
+    const name = `test-${testInfo.testId}`;
+    const { state } = await snapshot.capture(name);
+    await use(snapshot);
+
+    try {
+      const diff = diffSnapshotStates(state, await snapshot.captureState());
+      await testInfo.attach('wp-snapshot-diff.json', {
+        body: JSON.stringify(diff, null, 2),
+        contentType: 'application/json'
+      });
+      await testInfo.attach('wp-snapshot-diff.md', {
+        body: formatSnapshotDiff(diff),
+        contentType: 'text/markdown'
+      });
+    } finally {
+      await snapshot.restore(name);
+      snapshot.discard(name);
+    }
+  }, { auto: true }]
+});
+
+module.exports = {
+  test,
+  expect: base.expect
+};
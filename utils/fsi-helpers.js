@@ -5,14 +5,32 @@
  * including dependency checking, import progress monitoring, and validation.
  */
 
-const { expect } = require('@playwright/test');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { getConfig } = require('./config');
+const { FaultInjector } = require('./fault-injection');
+const { WordPressRestClient, diffManifests, getApplicationPasswordPath } = require('./wp-rest');
+const { PluginInventory, buildDependencyEntry } = require('./dependency-helpers');
+const { LOGO_FIXTURES, generateLogoFixture } = require('./logo-fixtures');
+const { ProgressTimeline } = require('./timeline');
+const { getBaselineName, resolveVisualOptions } = require('./visual-helpers');
+const { ResponsiveCheck } = require('./responsive-helpers');
+const { AccessibilityAudit } = require('./a11y-audit');
+const { getBuilderPlatform, inspectPageContent, findPlatformContentProblems, readPrimaryColor } = require('./platform-helpers');
+const { saveRecordedManifest, loadRecordedManifest } = require('./har');
+
+// Retry affordances Templately has shown on the import error screen
+const RETRY_BUTTON_SELECTOR = '.retry-import-button, button:has-text("Retry"), button:has-text("Try Again")';
 
 /**
  * FSI Workflow Management
  */
 class FSIWorkflow {
-  constructor(page) {
+  constructor(page, config = getConfig()) {
     this.page = page;
+    this.config = config;
+    this.timeline = new ProgressTimeline('fsi-import', config);
+    this.verifiedImports = 0;
   }
 
   /**
@@ -20,20 +38,49 @@ class FSIWorkflow {
    * @param {string} templateId - Template ID to import
    */
   async startFSIImport(templateId) {
+    // Snapshot the site over REST so validateImportResults() can tell what the import added
+    await this.captureRestBaseline();
+
     // Navigate to template and click FSI button
     await this.page.click(`[data-template-id="${templateId}"] .fsi-import-button`);
-    await this.page.waitForSelector('.fsi-modal', { timeout: 10000 });
+    await this.page.waitForSelector('.fsi-modal', { timeout: this.config.timeouts.modal });
     console.log(`✅ Started FSI import for template: ${templateId}`);
   }
 
+  /**
+   * Read the plugins listed in the dependency modal
+   * @returns {Promise<Array<{slug: string, name: string, requiredVersion: string|null, missing: boolean}>>}
+   */
+  async readDependencyList() {
+    return this.page.locator('.dependency-item, .missing-dependency').evaluateAll(nodes => nodes.map(node => {
+      const name = ((node.querySelector('.dependency-name') || node).textContent || '').trim();
+      const versionText = (node.querySelector('.dependency-version') || node).textContent || '';
+
+      return {
+        slug: node.dataset.slug || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+        name,
+        requiredVersion: node.dataset.version || (versionText.match(/(\d+\.\d+(?:\.\d+)*)/) || [])[1] || null,
+        missing: node.classList.contains('missing-dependency')
+      };
+    }));
+  }
+
   /**
    * Handle dependency checking phase
+   * Every listed plugin is cross-checked against the site after installation; tests
+   * assert on the report, e.g. with findUnsatisfiedDependencies().
+   * @returns {Promise<Array<Object>>} Report with slug, required version, before/after state and whether it is satisfied
    */
   async handleDependencyCheck() {
     console.log('🔍 Checking dependencies...');
+    this.timeline.startStage('dependency-check');
 
     // Wait for dependency check to complete
-    await this.page.waitForSelector('.dependency-check-complete', { timeout: 30000 });
+    await this.page.waitForSelector('.dependency-check-complete', { timeout: this.config.timeouts.dependencyCheck });
+
+    const dependencies = await this.readDependencyList();
+    const inventory = new PluginInventory(this.page, this.config);
+    const pluginsBefore = await inventory.getPlugins();
 
     // Check if there are missing dependencies
     const missingDeps = await this.page.locator('.missing-dependency').count();
@@ -42,20 +89,29 @@ class FSIWorkflow {
       console.log(`⚠️  Found ${missingDeps} missing dependencies`);
 
       // Click install dependencies button
+      this.timeline.startStage('dependency-install');
       await this.page.click('.install-dependencies-button');
-      await this.page.waitForSelector('.dependencies-installed', { timeout: 60000 });
+      await this.page.waitForSelector('.dependencies-installed', { timeout: this.config.timeouts.dependencyInstall });
       console.log('✅ Dependencies installed successfully');
     } else {
       console.log('✅ All dependencies are satisfied');
     }
+    this.timeline.endStage();
+
+    const pluginsAfter = await inventory.getPlugins();
+    const report = dependencies.map(dependency =>
+      buildDependencyEntry(dependency, pluginsBefore[dependency.slug], pluginsAfter[dependency.slug]));
+
+    return report;
   }
 
   /**
    * Monitor import progress
-   * @param {number} timeoutMs - Maximum time to wait for import completion
+   * @param {number} timeoutMs - Maximum time to wait for import completion (defaults to timeouts.importProgress)
    */
-  async monitorImportProgress(timeoutMs = 300000) { // 5 minutes default
+  async monitorImportProgress(timeoutMs = this.config.timeouts.importProgress) {
     console.log('📊 Monitoring import progress...');
+    this.timeline.startStage('content-import');
 
     const startTime = Date.now();
     let lastProgress = 0;
@@ -64,6 +120,8 @@ class FSIWorkflow {
       // Check for completion
       const isComplete = await this.page.locator('.import-complete').isVisible();
       if (isComplete) {
+        this.timeline.record(100, 'complete');
+        this.timeline.endStage();
         console.log('✅ Import completed successfully');
         return true;
       }
@@ -72,13 +130,21 @@ class FSIWorkflow {
       const hasError = await this.page.locator('.import-error').isVisible();
       if (hasError) {
         const errorMessage = await this.page.locator('.import-error-message').textContent();
+        this.timeline.record(lastProgress, 'error');
+        this.timeline.endStage();
         throw new Error(`Import failed: ${errorMessage}`);
       }
 
-      // Log progress updates
+      // Record progress and stage label changes; the timeline flags stalls
       const progressElement = this.page.locator('.import-progress-percentage');
       if (await progressElement.isVisible()) {
-        const currentProgress = parseInt(await progressElement.textContent());
+        // Text without a number (e.g. "Preparing...") records the label with unknown progress
+        const parsedProgress = parseInt(await progressElement.textContent(), 10);
+        const currentProgress = Number.isNaN(parsedProgress) ? null : parsedProgress;
+        const labelElement = this.page.locator('.import-progress-label').first();
+        const label = await labelElement.isVisible() ? (await labelElement.textContent()).trim() : null;
+        this.timeline.record(currentProgress, label);
+
         if (currentProgress > lastProgress) {
           console.log(`📈 Import progress: ${currentProgress}%`);
           lastProgress = currentProgress;
@@ -86,14 +152,236 @@ class FSIWorkflow {
       }
 
       // Wait before next check
-      await this.page.waitForTimeout(2000);
+      await this.page.waitForTimeout(this.config.timeouts.importPoll);
     }
 
+    this.timeline.endStage();
     throw new Error('Import timed out');
   }
 
+  /**
+   * Wait until the import reaches a progress percentage
+   * @param {number} percent - Progress to wait for
+   * @param {number} timeoutMs - Maximum time to wait (defaults to timeouts.importProgress)
+   * @returns {Promise<number>} Progress when the wait ended; 100 if the import finished first
+   */
+  async waitForImportProgress(percent, timeoutMs = this.config.timeouts.importProgress) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeoutMs) {
+      if (await this.page.locator('.import-complete').isVisible()) {
+        return 100;
+      }
+
+      const progressElement = this.page.locator('.import-progress-percentage');
+      if (await progressElement.isVisible()) {
+        const currentProgress = parseInt(await progressElement.textContent());
+        if (currentProgress >= percent) {
+          return currentProgress;
+        }
+      }
+
+      await this.page.waitForTimeout(this.config.timeouts.importPoll);
+    }
+
+    throw new Error(`Import did not reach ${percent}% in time`);
+  }
+
+  /**
+   * Interrupt a running import the way a customer would
+   * @param {string} method - 'reload', 'navigate' (away to the dashboard) or 'close-context' (tab and session gone)
+   * @param {import('@playwright/test').Browser} browser - Needed for 'close-context' to open a fresh context
+   * @param {Function} installContextRoutes - Needed for 'close-context': the fixture that puts the mock and HAR routes on the fresh context
+   * @returns {Promise<import('@playwright/test').Page>} The page to continue with; a new one after 'close-context'
+   */
+  async interruptImport(method, browser, installContextRoutes) {
+    console.log(`✂️  Interrupting import: ${method}`);
+
+    switch (method) {
+      case 'reload':
+        await this.page.reload();
+        break;
+      case 'navigate':
+        await this.page.goto(this.page.url().replace(/\/wp-admin.*/, '/wp-admin/'));
+        break;
+      case 'close-context': {
+        if (!browser || !installContextRoutes) {
+          throw new Error('close-context needs the browser and installContextRoutes fixtures');
+        }
+
+        await this.page.context().close();
+        // Inherits the project's use options (baseURL, storage state) like the fixture context did
+        const context = await browser.newContext();
+        await installContextRoutes(context);
+        this.page = await context.newPage();
+        if (this.faultInjector) {
+          await this.faultInjector.moveTo(context, this.page);
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown interruption method: ${method} (expected reload, navigate or close-context)`);
+    }
+
+    return this.page;
+  }
+
+  /**
+   * Read what Templately shows for an import after returning to it
+   * @returns {Promise<{status: string, progress: number|null}>} status is 'complete', 'in-progress', 'error' or 'idle'
+   */
+  async getImportRecoveryState() {
+    if (await this.page.locator('.import-complete').isVisible()) {
+      return { status: 'complete', progress: 100 };
+    }
+
+    if (await this.page.locator('.import-error').isVisible()) {
+      return { status: 'error', progress: null };
+    }
+
+    const progressElement = this.page.locator('.import-progress-percentage');
+    if (await progressElement.isVisible()) {
+      return { status: 'in-progress', progress: parseInt(await progressElement.textContent()) };
+    }
+
+    return { status: 'idle', progress: null };
+  }
+
+  /**
+   * Break Templately network calls, or the pack download WordPress makes, for the rest of the import
+   * @param {string} profileName - Key of FAULT_PROFILES in fault-injection.js
+   * @returns {Object} The applied profile
+   */
+  async injectFault(profileName) {
+    this.faultInjector = this.faultInjector || new FaultInjector(this.page.context(), this.config);
+    return this.faultInjector.apply(profileName, this.page);
+  }
+
+  /**
+   * Requests the injected faults have broken so far
+   * @returns {Promise<number>} Number of faulted requests
+   */
+  async countFaultHits() {
+    return this.faultInjector ? this.faultInjector.countHits() : 0;
+  }
+
+  /**
+   * Remove all injected faults
+   */
+  async clearFaults() {
+    if (this.faultInjector) {
+      await this.faultInjector.clear();
+    }
+  }
+
+  /**
+   * Read the error screen shown after a failed import
+   * @returns {{message: string|null, canRetry: boolean}}
+   */
+  async getImportErrorState() {
+    const errorMessage = this.page.locator('.import-error-message');
+    const retryButton = this.page.locator(RETRY_BUTTON_SELECTOR);
+
+    return {
+      message: await errorMessage.isVisible() ? (await errorMessage.textContent()).trim() : null,
+      canRetry: await retryButton.first().isVisible()
+    };
+  }
+
+  /**
+   * Read the page and template titles listed on the import summary
+   * @returns {Promise<{pages: string[], templates: string[]}>}
+   */
+  async getImportedItems() {
+    const titles = async selector => (await this.page.locator(selector).allTextContents()).map(title => title.trim());
+
+    return {
+      pages: await titles('.imported-page-item'),
+      templates: await titles('.imported-template-item')
+    };
+  }
+
+  /**
+   * Open a REST client for the site the page is on
+   * @returns {Promise<WordPressRestClient|null>} Client, or null without a saved application password
+   */
+  async openRestClient() {
+    const siteUrl = this.page.url().replace(/\/wp-admin.*/, '');
+    return WordPressRestClient.create(siteUrl, this.config);
+  }
+
+  /**
+   * Capture the REST manifest an import will be compared against
+   * Fails without the application password global setup saves: a success banner
+   * alone does not prove the import landed. Replayed imports never reach WordPress,
+   * so they are checked against the manifest recorded with the HAR instead.
+   */
+  async captureRestBaseline() {
+    if (this.config.har.mode === 'replay') {
+      return;
+    }
+
+    const client = await this.openRestClient();
+    if (!client) {
+      throw new Error(`No application password saved in ${getApplicationPasswordPath(this.config)}; global setup should have created it, so import results cannot be verified server-side`);
+    }
+
+    try {
+      this.restBaseline = await client.captureManifest();
+    } finally {
+      await client.dispose();
+    }
+  }
+
+  /**
+   * Click the retry button on the import error screen
+   */
+  async retryImport() {
+    await this.page.locator(RETRY_BUTTON_SELECTOR).first().click();
+    console.log('🔁 Retrying import');
+  }
+
+  /**
+   * What the import stored in WordPress since startFSIImport() captured the REST baseline
+   * Recording runs save it next to the HAR; replay runs read that recording back.
+   * @returns {Promise<{manifest: Object, platformContent: Array, frontPageBefore: Object}>}
+   */
+  async readImportManifest() {
+    const index = this.verifiedImports++;
+    if (this.config.har.mode === 'replay') {
+      console.log('▶️  Import replayed from HAR; verifying against the recorded manifest');
+      return loadRecordedManifest(test.info(), index, this.config);
+    }
+
+    if (!this.restBaseline) {
+      throw new Error('No REST baseline to verify the import against; start the import with startFSIImport()');
+    }
+
+    const client = await this.openRestClient();
+    let result;
+    try {
+      const manifest = diffManifests(this.restBaseline, await client.captureManifest());
+      result = {
+        manifest,
+        platformContent: await inspectPageContent(client, manifest.pages, this.config),
+        frontPageBefore: this.restBaseline.frontPage
+      };
+    } finally {
+      await client.dispose();
+    }
+
+    if (this.config.har.mode === 'record') {
+      saveRecordedManifest(test.info(), index, result, this.config);
+    }
+    return result;
+  }
+
   /**
    * Validate import results
+   * The counts shown in the UI are checked against what WordPress actually stored
+   * since startFSIImport() captured the REST baseline, and each imported page must be
+   * stored the way the builder platform stores it (see platform-helpers.js).
+   * @returns {{pages: number, templates: number, manifest: Object, platformContent: Array}} UI counts, the manifest of created items and how their pages are stored
    */
   async validateImportResults() {
     console.log('🔍 Validating import results...');
@@ -107,15 +395,37 @@ class FSIWorkflow {
 
     console.log(`✅ Import validation complete: ${importedPages} pages, ${importedTemplates} templates`);
 
+    const { manifest, platformContent, frontPageBefore } = await this.readImportManifest();
+
+    const storedTemplates = manifest.templates.templately.length + manifest.templates.elementor.length;
+    expect(manifest.pages.length, 'Pages stored in WordPress should match the import summary').toBe(importedPages);
+    expect(storedTemplates, 'Templates stored in WordPress should match the import summary').toBe(importedTemplates);
+
+    // If the import switched the front page, it must point at a page it created
+    if (manifest.frontPage.showOnFront === 'page' && manifest.frontPage.pageOnFront !== frontPageBefore.pageOnFront) {
+      const frontPageImported = manifest.pages.some(page => page.id === manifest.frontPage.pageOnFront);
+      expect(frontPageImported, 'The new static front page should be one of the imported pages').toBe(true);
+    }
+
+    const { builder } = this.config.platform;
+    const problems = findPlatformContentProblems(platformContent, builder);
+    expect(problems, `Imported pages should be stored as ${getBuilderPlatform(builder).label} content`).toEqual([]);
+
+    console.log(`✅ Server-side verification passed: ${manifest.pages.length} pages, ${storedTemplates} templates, ${manifest.media.length} media`);
+
     return {
       pages: importedPages,
-      templates: importedTemplates
+      templates: importedTemplates,
+      manifest,
+      platformContent
     };
   }
 
   /**
    * Handle import customization options
    * @param {Object} options - Customization options
+   * @param {boolean|string} options.uploadLogo - Logo fixture to upload (a LOGO_FIXTURES key; true means 'png')
+   * @returns {Promise<Object>} The options that were actually applied, for verifyBranding()
    */
   async handleCustomization(options = {}) {
     const {
@@ -124,31 +434,153 @@ class FSIWorkflow {
       primaryColor = '#007cba',
       uploadLogo = false
     } = options;
+    const applied = {};
 
     console.log('🎨 Applying customization options...');
 
     // Set site name
     if (await this.page.locator('#site-name-input').isVisible()) {
       await this.page.fill('#site-name-input', siteName);
+      applied.siteName = siteName;
     }
 
     // Set site tagline
     if (await this.page.locator('#site-tagline-input').isVisible()) {
       await this.page.fill('#site-tagline-input', siteTagline);
+      applied.siteTagline = siteTagline;
     }
 
     // Set primary color
     if (await this.page.locator('#primary-color-picker').isVisible()) {
       await this.page.fill('#primary-color-picker', primaryColor);
+      applied.primaryColor = primaryColor;
     }
 
-    // Handle logo upload if requested
-    if (uploadLogo && await this.page.locator('#logo-upload-input').isVisible()) {
-      // This would require a test logo file
-      console.log('📷 Logo upload requested but skipped in test');
+    // Upload a generated logo fixture; file inputs are usually hidden behind a styled button
+    if (uploadLogo && await this.page.locator('#logo-upload-input').count() > 0) {
+      const fixtureName = uploadLogo === true ? 'png' : uploadLogo;
+      await this.page.setInputFiles('#logo-upload-input', generateLogoFixture(fixtureName, this.config));
+
+      const uploadResult = this.page.locator('.logo-preview img, .logo-upload-error').first();
+      await uploadResult.waitFor({ timeout: this.config.timeouts.elementWait });
+
+      const uploadError = this.page.locator('.logo-upload-error');
+      const error = await uploadError.isVisible() ? (await uploadError.textContent()).trim() : null;
+      applied.logo = { fixture: fixtureName, accepted: !error, error };
+      console.log(error ? `📷 Logo ${fixtureName} rejected: ${error}` : `📷 Logo ${fixtureName} uploaded`);
     }
 
     console.log('✅ Customization options applied');
+    return applied;
+  }
+
+  /**
+   * Verify that customization took effect in WordPress and on the front end
+   * WordPress values come from the REST API (settings, site logo, and the primary color
+   * from Elementor globals or block theme global styles) and are skipped without a saved
+   * application password. Replayed imports never reach WordPress, so there is nothing
+   * to check; the test is annotated instead.
+   * @param {Object} applied - Result of handleCustomization()
+   * @returns {Promise<{wordpress: Object|null, frontEnd: Object|null}>} Values found
+   */
+  async verifyBranding(applied) {
+    if (this.config.har.mode === 'replay') {
+      test.info().annotations.push({ type: 'har-replay', description: 'Branding not verified: the replayed import did not change WordPress' });
+      console.log('▶️  Import replayed from HAR; branding is not verified');
+      return { wordpress: null, frontEnd: null };
+    }
+
+    console.log('🔍 Verifying branding...');
+
+    const siteUrl = this.page.url().replace(/\/wp-admin.*/, '');
+    const normalizeColor = color => (color || '').trim().toLowerCase() || null;
+    const expectLogo = applied.logo && applied.logo.accepted;
+    const { builder } = this.config.platform;
+    const { label, primaryColorVar } = getBuilderPlatform(builder);
+    let wordpress = null;
+
+    const client = await WordPressRestClient.create(siteUrl, this.config);
+    if (client) {
+      try {
+        const settings = (await client.get('wp/v2/settings')).data || {};
+        const index = (await client.get('')).data || {};
+        const logoId = settings.site_logo || index.site_logo || 0;
+        const logo = logoId ? (await client.get(`wp/v2/media/${logoId}`)).data : null;
+
+        wordpress = {
+          blogname: settings.title,
+          blogdescription: settings.description,
+          logo: logo ? { id: logo.id, url: logo.source_url, mimeType: logo.mime_type } : null,
+          primaryColor: normalizeColor(await readPrimaryColor(client, builder))
+        };
+      } finally {
+        await client.dispose();
+      }
+    } else {
+      console.warn('⚠️  No application password saved; checking branding on the front end only');
+    }
+
+    const frontPage = await this.page.context().newPage();
+    let frontEnd;
+    try {
+      await frontPage.goto(`${siteUrl}/`);
+      frontEnd = await frontPage.evaluate(colorVar => {
+        // Elementor scopes its globals to the kit wrapper; block themes put presets on body
+        const kit = document.querySelector('[class*="elementor-kit-"]') || document.body;
+        const description = document.querySelector('meta[name="description"], meta[property="og:description"]');
+        return {
+          title: document.title,
+          text: `${document.body.innerText}\n${description ? description.content : ''}`,
+          // Lazy-loaded images keep the real source in data-src until they scroll into view
+          imageSources: Array.from(document.images).map(image => image.currentSrc || image.src || image.dataset.src).filter(Boolean),
+          primaryColor: getComputedStyle(kit).getPropertyValue(colorVar)
+        };
+      }, primaryColorVar);
+      frontEnd.primaryColor = normalizeColor(frontEnd.primaryColor);
+    } finally {
+      await frontPage.close();
+    }
+
+    if (applied.siteName) {
+      if (wordpress) {
+        expect(wordpress.blogname, 'blogname').toBe(applied.siteName);
+      }
+      expect(frontEnd.title, 'Site name in the front end <title>').toContain(applied.siteName);
+    }
+
+    if (applied.siteTagline) {
+      if (wordpress) {
+        expect(wordpress.blogdescription, 'blogdescription').toBe(applied.siteTagline);
+      }
+      expect(frontEnd.text, 'Tagline on the front end').toContain(applied.siteTagline);
+    }
+
+    if (applied.primaryColor) {
+      const expectedColor = normalizeColor(applied.primaryColor);
+      if (wordpress) {
+        expect(wordpress.primaryColor, `${label} primary color`).toBe(expectedColor);
+      }
+      expect(frontEnd.primaryColor, `${primaryColorVar} on the front end`).toBe(expectedColor);
+    }
+
+    if (expectLogo) {
+      let logoName = null;
+      if (wordpress) {
+        expect(wordpress.logo, 'Custom logo should be set').not.toBeNull();
+        expect(wordpress.logo.mimeType).toBe(LOGO_FIXTURES[applied.logo.fixture].mimeType);
+        logoName = path.parse(new URL(wordpress.logo.url).pathname).name;
+      } else {
+        logoName = path.parse(LOGO_FIXTURES[applied.logo.fixture].fileName).name;
+      }
+
+      // WordPress may serve a resized copy, e.g. logo-150x45.png
+      const logoRendered = frontEnd.imageSources.some(source => path.basename(new URL(source, siteUrl).pathname).startsWith(logoName));
+      expect(logoRendered, `Logo ${logoName} should be rendered on the front end`).toBe(true);
+    }
+
+    delete frontEnd.text;
+    console.log('✅ Branding verified in WordPress and on the front end');
+    return { wordpress, frontEnd };
   }
 }
 
@@ -156,19 +588,20 @@ class FSIWorkflow {
  * FSI Preview Management
  */
 class FSIPreview {
-  constructor(page) {
+  constructor(page, config = getConfig()) {
     this.page = page;
+    this.config = config;
   }
 
   /**
    * Wait for preview iframe to load
    */
   async waitForPreviewLoad() {
-    await this.page.waitForSelector('.fsi-preview-iframe', { timeout: 30000 });
+    await this.page.waitForSelector('.fsi-preview-iframe', { timeout: this.config.timeouts.previewLoad });
 
     // Wait for iframe content to load
     const iframe = this.page.frameLocator('.fsi-preview-iframe');
-    await iframe.locator('body').waitFor({ timeout: 30000 });
+    await iframe.locator('body').waitFor({ timeout: this.config.timeouts.previewLoad });
 
     console.log('✅ Preview iframe loaded');
   }
@@ -188,10 +621,58 @@ class FSIPreview {
    */
   async screenshotPreview(filename) {
     const iframe = this.page.frameLocator('.fsi-preview-iframe');
-    await iframe.locator('body').screenshot({ path: `tests/screenshots/${filename}` });
+    await iframe.locator('body').screenshot({ path: `${this.config.artifacts.screenshotDir}/${filename}` });
     console.log(`📸 Preview screenshot saved: ${filename}`);
   }
 
+  /**
+   * Compare the preview with its visual baseline
+   * Baselines live in visual.baselineDir per project, template and scenario; a missing
+   * baseline is written on the first run (or with --update-snapshots). Dynamic regions
+   * declared in test-business-data.json are masked, and a failed comparison attaches
+   * the expected, actual and diff images to the HTML report.
+   * @param {string} template - Template ID, slug or name
+   * @param {string} scenario - Scenario ID or name; 'default' for a plain template preview
+   * @param {Object} options - Options
+   * @param {boolean} options.ai - Also mask AI-generated text regions
+   */
+  async compareWithBaseline(template, scenario = 'default', { ai = false } = {}) {
+    const iframe = this.page.frameLocator('.fsi-preview-iframe');
+    const { masks, threshold, maxDiffPixelRatio } = resolveVisualOptions({ template, scenario, ai }, this.config);
+
+    await expect(iframe.locator('body')).toHaveScreenshot(getBaselineName(template, scenario, this.config), {
+      mask: masks.map(selector => iframe.locator(selector)),
+      animations: 'disabled',
+      caret: 'hide',
+      threshold,
+      maxDiffPixelRatio
+    });
+
+    console.log(`🖼️  Preview matches baseline: ${getBaselineName(template, scenario, this.config).join('/')} (${masks.length} mask selectors)`);
+  }
+
+  /**
+   * Check the preview at each device size through its device toggles
+   * @param {string[]} devices - Devices to check (defaults to responsive.devices)
+   * @returns {Promise<Array>} Layout report per device (see findLayoutProblems in responsive-helpers.js)
+   */
+  async checkResponsive(devices) {
+    return new ResponsiveCheck(this.page, this.config).checkPreviewDevices(devices);
+  }
+
+  /**
+   * Run the offline accessibility audit inside the preview iframe
+   * @param {string} label - Page label stored with each violation
+   * @returns {Promise<Array>} Violations (see a11y-audit.js)
+   */
+  async auditAccessibility(label = 'preview') {
+    let violations = [];
+    await this.interactWithPreview(async (iframe) => {
+      violations = await new AccessibilityAudit(this.config).audit(iframe, label);
+    });
+    return violations;
+  }
+
   /**
    * Validate preview content
    */
@@ -8,6 +8,12 @@
 const { chromium } = require('@playwright/test');
 const path = require('path');
 const fs = require('fs');
+const { ensureStorageState } = require('./auth-state');
+const { getConfig } = require('./config');
+const { MultisiteNetwork } = require('./multisite-helpers');
+const { getDashboardPath } = require('./platform-helpers');
+const { ensureApplicationPassword } = require('./wp-rest');
+const { WordPressSnapshot } = require('./wp-snapshot');
 
 async function globalSetup(config) {
   console.log('🚀 Starting Templately Test Environment Setup...');
@@ -28,15 +34,23 @@ async function globalSetup(config) {
     }
   });
 
+  // Fails fast with the offending key if any configuration source is invalid
+  const testConfig = getConfig();
+  const multisite = testConfig.multisite.enabled;
+  const baseURL = multisite ? testConfig.multisite.networkUrl : testConfig.wordpress.baseUrl;
+
   // Launch browser for setup
   const browser = await chromium.launch();
-  const context = await browser.newContext();
-  const page = await context.newPage();
 
   try {
-    const baseURL = process.env.WP_BASE_URL || 'http://localhost:8080';
     console.log(`🌐 Connecting to WordPress at: ${baseURL}`);
 
+    // Reuse the saved admin session, or log in once and persist it for every project
+    const statePath = await ensureStorageState(browser, baseURL, 'admin');
+
+    const context = await browser.newContext({ storageState: statePath, ignoreHTTPSErrors: true });
+    const page = await context.newPage();
+
     // Navigate to WordPress admin
     await page.goto(`${baseURL}/wp-admin`);
 
@@ -48,40 +62,31 @@ async function globalSetup(config) {
 
     console.log('✅ WordPress is accessible');
 
-    // Login if needed
-    const isLoginPage = await page.locator('#loginform').isVisible();
-    if (isLoginPage) {
-      console.log('🔐 Logging into WordPress...');
-
-      const username = process.env.WP_USERNAME || 'admin';
-      const password = process.env.WP_PASSWORD || 'password';
-
-      await page.fill('#user_login', username);
-      await page.fill('#user_pass', password);
-      await page.click('#wp-submit');
-
-      // Wait for dashboard
-      await page.waitForSelector('#wpadminbar', { timeout: 10000 });
-      console.log('✅ Successfully logged into WordPress');
-    }
-
     // Check if Templately plugin is active
-    await page.goto(`${baseURL}/wp-admin/plugins.php`);
-
-    const templatelyRow = page.locator('tr[data-slug="templately"]');
-    const isActive = await templatelyRow.locator('.deactivate').isVisible();
-
-    if (!isActive) {
-      console.log('🔌 Activating Templately plugin...');
-      await templatelyRow.locator('.activate a').click();
-      await page.waitForSelector('.notice-success', { timeout: 10000 });
-      console.log('✅ Templately plugin activated');
+    if (multisite) {
+      // Multisite: activate once for the whole network instead of per site
+      await new MultisiteNetwork(page).networkActivateTemplately();
     } else {
-      console.log('✅ Templately plugin is already active');
+      await page.goto(`${baseURL}/wp-admin/plugins.php`);
+
+      const templatelyRow = page.locator('tr[data-slug="templately"]');
+      const isActive = await templatelyRow.locator('.deactivate').isVisible();
+
+      if (!isActive) {
+        console.log('🔌 Activating Templately plugin...');
+        await templatelyRow.locator('.activate a').click();
+        await page.waitForSelector('.notice-success', { timeout: testConfig.timeouts.pageLoad });
+        console.log('✅ Templately plugin activated');
+      } else {
+        console.log('✅ Templately plugin is already active');
+      }
     }
 
+    // Application password for verifying import results over the REST API
+    await ensureApplicationPassword(page, baseURL, testConfig);
+
     // Verify Templately admin page is accessible
-    await page.goto(`${baseURL}/wp-admin/admin.php?page=templately`);
+    await page.goto(`${baseURL}${getDashboardPath(testConfig)}`);
     const templatelyPage = await page.locator('.templately-admin-page').isVisible();
 
     if (templatelyPage) {
@@ -101,6 +106,11 @@ async function globalSetup(config) {
     fs.writeFileSync('tests/data/setup-data.json', JSON.stringify(testData, null, 2));
     console.log('💾 Test setup data saved');
 
+    // Baseline the teardown restores once the whole run is done
+    if (testConfig.snapshot.enabled) {
+      await new WordPressSnapshot(testConfig).capture('baseline');
+    }
+
     console.log('🎉 Global setup completed successfully!');
 
   } catch (error) {
@@ -7,11 +7,16 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
+const { WordPressSnapshot } = require('./wp-snapshot');
 
 async function globalTeardown(config) {
   console.log('🧹 Starting Templately Test Environment Cleanup...');
 
   try {
+    // Put the site back once for the whole run, in case a project stopped before its teardown
+    await restoreBaseline();
+
     // Read test results and generate summary
     const resultsPath = 'tests/reports/results.json';
     if (fs.existsSync(resultsPath)) {
@@ -93,6 +98,21 @@ function cleanupTempFiles() {
   });
 }
 
+/**
+ * Restore and discard the baseline snapshot saved by global setup
+ */
+async function restoreBaseline() {
+  const config = getConfig();
+  const snapshot = new WordPressSnapshot(config);
+  if (!config.snapshot.enabled || !snapshot.hasSnapshot('baseline')) {
+    return;
+  }
+
+  await snapshot.restore('baseline');
+  snapshot.discard('baseline');
+  console.log('🗑️  Baseline snapshot discarded');
+}
+
 /**
  * Archive test artifacts for long-term storage
  */
@@ -0,0 +1,168 @@
+/**
+ * HAR Record and Replay for Templately Playwright Tests
+ *
+ * This module records Templately REST/AJAX and cloud traffic into versioned
+ * HAR fixtures during a live run, and serves those fixtures back on later runs.
+ * In replay mode any request missing from the recording is aborted immediately
+ * and reported, instead of hanging on a live call. Replayed imports never reach
+ * WordPress, so what each recorded import stored is saved next to its HAR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+/**
+ * Get the HAR fixture file for a test
+ * Files are grouped by har.version, spec file and test title.
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {Object} config - Test configuration
+ * @returns {string} Absolute HAR file path
+ */
+function getHarPath(testInfo, config = getConfig()) {
+  const spec = path.basename(testInfo.file, '.js');
+  const title = testInfo.titlePath.slice(1).join(' ').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return path.resolve(__dirname, '..', config.har.dir, config.har.version, spec, `${title}.har`);
+}
+
+/**
+ * Get the file holding the import manifests recorded with a test's HAR fixture
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {Object} config - Test configuration
+ * @returns {string} Absolute manifest file path
+ */
+function getHarManifestPath(testInfo, config = getConfig()) {
+  return getHarPath(testInfo, config).replace(/\.har$/, '.manifests.json');
+}
+
+/**
+ * Save the verified result of the nth import of a recorded test
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {number} index - Import number within the test, from 0
+ * @param {Object} result - What WordPress stored, from FSIWorkflow.readImportManifest()
+ * @param {Object} config - Test configuration
+ */
+function saveRecordedManifest(testInfo, index, result, config = getConfig()) {
+  const manifestPath = getHarManifestPath(testInfo, config);
+  const recorded = index > 0 && fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : [];
+  recorded[index] = result;
+
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, `${JSON.stringify(recorded, null, 2)}\n`);
+}
+
+/**
+ * Load the recorded result of the nth import of a replayed test
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {number} index - Import number within the test, from 0
+ * @param {Object} config - Test configuration
+ * @returns {Object} What WordPress stored when the HAR was recorded
+ */
+function loadRecordedManifest(testInfo, index, config = getConfig()) {
+  const manifestPath = getHarManifestPath(testInfo, config);
+  const recorded = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : [];
+  if (!recorded[index]) {
+    throw new Error(`No recorded import manifest #${index + 1} in ${manifestPath}. Re-record with TEMPLATELY_HAR_MODE=record.`);
+  }
+  return recorded[index];
+}
+
+/**
+ * Config with a project's HAR mode
+ * @param {Object} config - Test configuration
+ * @param {string} mode - 'off', 'record' or 'replay'
+ * @returns {Object} The same config if the mode already matches
+ */
+function withHarMode(config, mode) {
+  if (config.har.mode === mode) {
+    return config;
+  }
+  return Object.freeze({ ...config, har: Object.freeze({ ...config.har, mode }) });
+}
+
+/**
+ * Record or replay HAR traffic for one browser context
+ */
+class HarSession {
+  constructor(context, testInfo, config = getConfig()) {
+    this.context = context;
+    this.testInfo = testInfo;
+    this.config = config;
+    this.harPath = getHarPath(testInfo, config);
+    this.urlFilter = new RegExp(config.har.urlPattern, 'i');
+    this.unmatched = [];
+  }
+
+  /**
+   * Start recording or replaying
+   * @param {string} mode - 'record' or 'replay'
+   */
+  async start(mode) {
+    this.mode = mode;
+    this.contexts = 0;
+    await this.attach(this.context);
+  }
+
+  /**
+   * Record or replay another browser context of the same test, such as one opened after the first was closed
+   * Each context after the first has its own HAR next to the test's, so a recording is not overwritten.
+   * @param {import('@playwright/test').BrowserContext} context - Context to record or replay
+   */
+  async attach(context) {
+    this.contexts++;
+    const harPath = this.contexts === 1 ? this.harPath : this.harPath.replace(/\.har$/, `.context-${this.contexts}.har`);
+
+    if (this.mode === 'record') {
+      fs.mkdirSync(path.dirname(harPath), { recursive: true });
+      await context.routeFromHAR(harPath, {
+        url: this.urlFilter,
+        update: true,
+        updateContent: 'embed',
+        updateMode: 'minimal'
+      });
+      console.log(`⏺️  Recording HAR: ${path.relative(process.cwd(), harPath)}`);
+      return;
+    }
+
+    if (!fs.existsSync(harPath)) {
+      throw new Error(`No HAR recording for this test: ${harPath}. Record one with TEMPLATELY_HAR_MODE=record.`);
+    }
+
+    // Registered first so it only runs for requests the HAR falls back on
+    await context.route(this.urlFilter, async route => {
+      const request = route.request();
+      this.unmatched.push({ method: request.method(), url: request.url(), postData: request.postData() });
+      console.warn(`⚠️  HAR replay has no match for ${request.method()} ${request.url()}`);
+      await route.abort('failed');
+    });
+
+    await context.routeFromHAR(harPath, { url: this.urlFilter, notFound: 'fallback' });
+    console.log(`▶️  Replaying HAR: ${path.relative(process.cwd(), harPath)}`);
+  }
+
+  /**
+   * Report unmatched requests; fails the test in replay mode if there were any
+   */
+  async finish() {
+    if (this.unmatched.length === 0) {
+      return;
+    }
+
+    await this.testInfo.attach('har-unmatched.json', {
+      body: JSON.stringify(this.unmatched, null, 2),
+      contentType: 'application/json'
+    });
+
+    const summary = this.unmatched.map(request => `  - ${request.method} ${request.url}`).join('\n');
+    throw new Error(`HAR replay had ${this.unmatched.length} unmatched request(s); re-record ${this.harPath}:\n${summary}`);
+  }
+}
+
+module.exports = {
+  getHarPath,
+  getHarManifestPath,
+  saveRecordedManifest,
+  loadRecordedManifest,
+  withHarMode,
+  HarSession
+};
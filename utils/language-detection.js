@@ -0,0 +1,216 @@
+/**
+ * Offline Language Detection for Multilingual AI FSI Scenarios
+ *
+ * This module detects the language of generated page text without any
+ * network service: non-Latin languages by their script, Latin-script
+ * languages by their most common words. It also checks that right-to-left
+ * text is laid out right to left, and that names, addresses and opening
+ * hours reach the generated site exactly as they were entered.
+ */
+
+// Unicode ranges of the scripts that identify a language on their own
+const SCRIPTS = {
+  ar: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/gu,
+  he: /[\u0590-\u05FF]/gu,
+  bn: /[\u0980-\u09FF]/gu,
+  kana: /[\u3040-\u30FF]/gu,
+  han: /[\u4E00-\u9FFF]/gu
+};
+
+// Most frequent short words of Latin-script languages
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'are', 'we', 'our', 'you', 'your', 'for', 'with', 'that', 'this', 'from', 'by', 'be', 'it', 'an', 'at', 'on', 'as', 'have', 'will'],
+  es: ['el', 'la', 'los', 'las', 'del', 'y', 'en', 'que', 'es', 'son', 'un', 'una', 'por', 'para', 'con', 'nuestro', 'nuestra', 'nuestros', 'su', 'sus', 'se', 'al', 'lo', 'como', 'más', 'cada'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'sind', 'wir', 'unser', 'unsere', 'ihr', 'ihre', 'mit', 'für', 'von', 'zu', 'den', 'dem', 'des', 'ein', 'eine', 'auf', 'im', 'nicht', 'auch', 'aus', 'bei', 'nach', 'sie'],
+  fr: ['le', 'les', 'des', 'et', 'est', 'sont', 'nous', 'notre', 'nos', 'vous', 'votre', 'pour', 'avec', 'une', 'du', 'au', 'aux', 'dans', 'sur', 'par', 'qui', 'ce'],
+  pt: ['o', 'os', 'do', 'da', 'dos', 'das', 'e', 'é', 'são', 'nós', 'nosso', 'nossa', 'para', 'com', 'um', 'uma', 'em', 'no', 'na', 'por', 'seu', 'sua'],
+  it: ['il', 'gli', 'di', 'della', 'delle', 'e', 'è', 'sono', 'noi', 'nostro', 'nostra', 'per', 'con', 'un', 'una', 'nel', 'nella', 'che', 'ai', 'dei']
+};
+
+// Letters only used by one of the Latin-script languages above
+const LETTER_HINTS = {
+  es: /[ñ¿¡]/gu,
+  de: /[ßäöü]/gu,
+  pt: /[ãõç]/gu
+};
+
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+
+// Fields customers expect to see exactly as they typed them
+const PRESERVED_FIELDS = ['businessName', 'address', 'hours'];
+
+/**
+ * Count matches of a global regular expression
+ */
+function count(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * Detect the language of a piece of text
+ * @param {string} text - Text, ideally a sentence or more
+ * @returns {{language: string|null, confidence: number, letters: number}} ISO 639-1 code, or null if undecided
+ */
+function detectLanguage(text) {
+  const letters = count(text, /\p{L}/gu);
+  if (letters === 0) {
+    return { language: null, confidence: 0, letters };
+  }
+
+  // A script covering most letters decides; kana tells Japanese apart from Chinese
+  const kana = count(text, SCRIPTS.kana);
+  const cjk = kana + count(text, SCRIPTS.han);
+  const scripts = { ar: count(text, SCRIPTS.ar), he: count(text, SCRIPTS.he), bn: count(text, SCRIPTS.bn), ja: kana > 0 ? cjk : 0 };
+  const [script, scriptLetters] = Object.entries(scripts).sort((a, b) => b[1] - a[1])[0];
+  if (scriptLetters / letters > 0.5) {
+    return { language: script, confidence: scriptLetters / letters, letters };
+  }
+  if (cjk / letters > 0.5) {
+    // Han without kana could be Chinese or a Japanese heading
+    return { language: null, confidence: 0, letters };
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.fromEntries(Object.entries(STOPWORDS).map(([language, stopwords]) => {
+    const hints = LETTER_HINTS[language] ? count(text.toLowerCase(), LETTER_HINTS[language]) : 0;
+    return [language, words.filter(word => stopwords.includes(word)).length + hints];
+  }));
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+  // Names, emails and other text without common words stay undecided
+  if (ranked[0][1] === 0 || ranked[0][1] === ranked[1][1]) {
+    return { language: null, confidence: 0, letters };
+  }
+  return { language: ranked[0][0], confidence: ranked[0][1] / total, letters };
+}
+
+/**
+ * Detect the language of each sentence of a page and weigh them by length
+ * @param {string} text - Page text
+ * @param {string} expected - Expected language code
+ * @returns {{language: string|null, share: number, languages: Object, undecided: number}}
+ *   Dominant language, share of decided letters in the expected language, letters per language
+ */
+function analyzeLanguage(text, expected) {
+  const segments = String(text).split(/[\n.!?。！？।]+/u).map(segment => segment.trim()).filter(Boolean);
+  const languages = {};
+  let undecided = 0;
+
+  segments.forEach(segment => {
+    const { language, letters } = detectLanguage(segment);
+    if (language) {
+      languages[language] = (languages[language] || 0) + letters;
+    } else {
+      undecided += letters;
+    }
+  });
+
+  const decided = Object.values(languages).reduce((sum, letters) => sum + letters, 0);
+  const ranked = Object.entries(languages).sort((a, b) => b[1] - a[1]);
+
+  return {
+    language: ranked.length > 0 ? ranked[0][0] : null,
+    share: decided > 0 ? (languages[expected] || 0) / decided : 0,
+    languages,
+    undecided
+  };
+}
+
+/**
+ * Right-to-left text laid out left to right; runs in the browser
+ * Checks elements whose own text is mostly right-to-left script.
+ */
+function auditTextDirection({ maxOffenders = 20 } = {}) {
+  const rtlLetter = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/gu;
+
+  const describe = element => {
+    const id = element.id ? `#${element.id}` : '';
+    const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  const direction = element => {
+    try {
+      return element.matches(':dir(rtl)') ? 'rtl' : 'ltr';
+    } catch {
+      return getComputedStyle(element).direction;
+    }
+  };
+
+  let checked = 0;
+  const offenders = [];
+  document.body.querySelectorAll('*').forEach(element => {
+    const ownText = Array.from(element.childNodes).filter(node => node.nodeType === Node.TEXT_NODE).map(node => node.textContent).join('').trim();
+    const letters = (ownText.match(/\p{L}/gu) || []).length;
+    if (letters === 0 || (ownText.match(rtlLetter) || []).length / letters <= 0.5 || !element.getClientRects().length) {
+      return;
+    }
+
+    checked++;
+    if (direction(element) !== 'rtl' && offenders.length < maxOffenders) {
+      offenders.push({ selector: describe(element), text: ownText.slice(0, 60) });
+    }
+  });
+
+  return {
+    htmlDir: document.documentElement.getAttribute('dir'),
+    lang: document.documentElement.getAttribute('lang'),
+    checked,
+    offenders
+  };
+}
+
+/**
+ * Check generated pages against a multilingual scenario
+ * @param {Object} scenario - Scenario with `language` and `data`
+ * @param {Array<{title: string, url: string, text: string, evaluated?: Object}>} pages - Pages, with auditTextDirection() results as `evaluated`
+ * @param {Object} options - Options
+ * @param {number} options.minShare - Share of each page's text that must be in the scenario's language
+ * @param {number} options.minLetters - Letters of detected text a page needs before its language is judged
+ * @returns {{problems: string[], pages: Array}} Problems and the language analysis of each page
+ */
+function findLanguageProblems(scenario, pages, { minShare, minLetters }) {
+  const normalize = text => String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+  const problems = [];
+
+  const analyzed = pages.map(page => {
+    const analysis = analyzeLanguage(page.text, scenario.language);
+    const where = page.title || page.url;
+    const detected = Object.values(analysis.languages).reduce((sum, letters) => sum + letters, 0);
+
+    // Pages with little running text (contact details, galleries) are not judged
+    if (detected >= minLetters && analysis.share < minShare) {
+      problems.push(`${where}: ${Math.round(analysis.share * 100)}% ${scenario.language} (mostly ${analysis.language || 'undetected'})`);
+    }
+
+    if (RTL_LANGUAGES.includes(scenario.language) && page.evaluated) {
+      page.evaluated.offenders.forEach(({ selector, text }) => problems.push(`${where}: ${selector} "${text}" is not laid out right to left`));
+    }
+
+    return { title: page.title, url: page.url, judged: detected >= minLetters, ...analysis, direction: page.evaluated };
+  });
+
+  if (!analyzed.some(page => page.judged)) {
+    problems.push(`No generated page has enough text to detect its language (${minLetters} letters)`);
+  }
+  if (RTL_LANGUAGES.includes(scenario.language) && !pages.some(page => page.evaluated && page.evaluated.checked > 0)) {
+    problems.push('No right-to-left text was rendered on any generated page');
+  }
+
+  PRESERVED_FIELDS.filter(field => scenario.data[field]).forEach(field => {
+    const value = normalize(scenario.data[field]);
+    if (!pages.some(page => normalize(page.text).includes(value))) {
+      problems.push(`${field} "${scenario.data[field]}" does not appear exactly in the generated site`);
+    }
+  });
+
+  return { problems, pages: analyzed };
+}
+
+module.exports = {
+  detectLanguage,
+  analyzeLanguage,
+  auditTextDirection,
+  findLanguageProblems
+};
@@ -0,0 +1,149 @@
+/**
+ * Logo Fixture Generator for Branding Tests
+ *
+ * This module writes logo files for the customization step on demand, so
+ * no binary fixtures need to be committed: a valid PNG, an SVG, a PNG over
+ * the upload size limit and a text file disguised as a PNG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+/**
+ * Logo fixtures
+ * `accepted` says whether the upload must succeed; rejected fixtures declare the
+ * `expectedError` shown by the customization step.
+ */
+const LOGO_FIXTURES = {
+  png: {
+    description: 'a PNG logo',
+    fileName: 'logo.png',
+    mimeType: 'image/png',
+    accepted: true
+  },
+  svg: {
+    description: 'an SVG logo',
+    fileName: 'logo.svg',
+    mimeType: 'image/svg+xml',
+    accepted: true
+  },
+  oversized: {
+    description: 'a PNG logo over the upload size limit',
+    fileName: 'logo-oversized.png',
+    mimeType: 'image/png',
+    accepted: false,
+    expectedError: /too large|size|exceed|maximum/i
+  },
+  'wrong-mime': {
+    description: 'a text file named like a PNG',
+    fileName: 'logo-wrong-mime.png',
+    mimeType: 'image/png',
+    accepted: false,
+    expectedError: /type|format|invalid|not allowed|image/i
+  }
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode an 8-bit RGB PNG
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Function} row - Returns the RGB bytes (width * 3) for row y
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(width, height, row) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+
+  const raw = Buffer.concat(Array.from({ length: height }, (_, y) => Buffer.concat([Buffer.from([0]), row(y)])));
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Build the contents of a logo fixture
+ * @param {string} name - Key of LOGO_FIXTURES
+ * @param {Object} config - Test configuration
+ * @returns {Buffer} File contents
+ */
+function buildLogoFixture(name, config = getConfig()) {
+  switch (name) {
+    case 'png':
+      // 200x60 banner in the default primary color
+      return encodePng(200, 60, () => Buffer.from(Array(200).fill([0x00, 0x7c, 0xba]).flat()));
+    case 'svg':
+      return Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="200" height="60" viewBox="0 0 200 60">' +
+        '<rect width="200" height="60" fill="#007cba"/>' +
+        '<text x="100" y="38" font-family="sans-serif" font-size="24" fill="#fff" text-anchor="middle">Test Logo</text></svg>');
+    case 'oversized': {
+      // Random pixels do not compress, so the file ends up just over the limit
+      const side = Math.ceil(Math.sqrt(config.branding.maxLogoBytes / 3)) + 16;
+      return encodePng(side, side, () => crypto.randomBytes(side * 3));
+    }
+    case 'wrong-mime':
+      return Buffer.from('This is not an image, despite the .png extension.\n');
+    default:
+      throw new Error(`Unknown logo fixture: ${name} (available: ${Object.keys(LOGO_FIXTURES).join(', ')})`);
+  }
+}
+
+/**
+ * Write a logo fixture if it does not exist yet
+ * @param {string} name - Key of LOGO_FIXTURES
+ * @param {Object} config - Test configuration
+ * @returns {string} Absolute path to the fixture file
+ */
+function generateLogoFixture(name, config = getConfig()) {
+  const fixture = LOGO_FIXTURES[name];
+  if (!fixture) {
+    throw new Error(`Unknown logo fixture: ${name} (available: ${Object.keys(LOGO_FIXTURES).join(', ')})`);
+  }
+
+  const filePath = path.resolve(config.branding.fixtureDir, fixture.fileName);
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, buildLogoFixture(name, config));
+  }
+
+  return filePath;
+}
+
+module.exports = {
+  LOGO_FIXTURES,
+  generateLogoFixture
+};
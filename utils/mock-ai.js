@@ -0,0 +1,337 @@
+/**
+ * Scripted AI Backend for Offline AI FSI Tests
+ *
+ * This module replays a script of assistant questions, validation errors,
+ * generation progress events and generated content in place of the live AI
+ * endpoints, with optional fault injection. Scripts live in data/ai-scripts
+ * and are selected per business scenario via `aiScript` in test-business-data.json.
+ * Scripts with a streaming fault are served by a local HTTP server instead, which
+ * writes assistant replies and generated content a few characters at a time.
+ *
+ * Response shapes:
+ * - Conversation:  { status: 'success', data: { role, message, buttons, step } }
+ * - Validation:    { status: 'error', code: 'validation_error', message, step }
+ * - Generation:    { status: 'success', data: { jobId } }
+ * - Progress:      { status: 'success', data: { state: 'running'|'complete'|'failed', step, label, percent, result?, error? } }
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const testData = require('../data/test-business-data.json');
+
+/**
+ * Load a script, resolving `extends` chains and merging faults
+ * @param {string} name - Script file name without extension
+ * @param {Object} config - Test configuration
+ * @returns {Object} Resolved script
+ */
+function loadAIScript(name, config = getConfig()) {
+  const scriptPath = path.resolve(__dirname, '..', config.mockAI.scriptDir, `${name}.json`);
+
+  if (!fs.existsSync(scriptPath)) {
+    throw new Error(`AI script not found: ${name} (${scriptPath})`);
+  }
+
+  const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  if (!script.extends) {
+    return { name, ...script };
+  }
+
+  const parent = loadAIScript(script.extends, config);
+  return { ...parent, ...script, name, faults: { ...parent.faults, ...script.faults } };
+}
+
+/**
+ * Get the script name configured for a business scenario
+ * @param {string} scenario - Scenario ID or name from test-business-data.json
+ * @param {Object} config - Test configuration
+ * @returns {string} Script name
+ */
+function getScenarioScriptName(scenario, config = getConfig()) {
+  const scenarios = [...testData.businessScenarios, ...(testData.multilingualScenarios || [])];
+  const match = scenarios.find(entry => entry.id === scenario || entry.name === scenario);
+  return (match && match.aiScript) || config.mockAI.defaultScript;
+}
+
+/**
+ * Replace {{field}} placeholders with scenario answers
+ */
+function fillPlaceholders(text, answers) {
+  return text.replace(/\{\{(\w+)\}\}/g, (placeholder, field) => answers[field] !== undefined ? String(answers[field]) : '');
+}
+
+/**
+ * Stateful AI backend replaying a script
+ */
+class MockAIBackend {
+  constructor(config = getConfig()) {
+    this.config = config;
+    this.unmatched = [];
+    this.server = null;
+    this.streamedReplies = 0;
+    this.useScript(config.mockAI.defaultScript);
+  }
+
+  /**
+   * Switch to a script and reset the conversation
+   * @param {string} name - Script name
+   * @param {Object} businessData - Scenario data used to fill generated content
+   */
+  useScript(name, businessData = {}) {
+    this.script = loadAIScript(name, this.config);
+    this.businessData = businessData;
+    this.reset();
+    console.log(`🤖 Mock AI script loaded: ${name}`);
+  }
+
+  /**
+   * Restart the conversation and generation state
+   */
+  reset() {
+    this.turnIndex = 0;
+    this.answers = {};
+    this.progressIndex = 0;
+    this.jobId = null;
+  }
+
+  /**
+   * Current assistant turn as a response payload
+   * Messages may quote earlier answers through {{field}} placeholders.
+   */
+  currentTurn() {
+    const turn = this.script.turns[this.turnIndex];
+    const message = fillPlaceholders(turn.message, { ...this.businessData, ...this.answers });
+    return {
+      status: 'success',
+      data: { role: 'assistant', message, buttons: turn.buttons || [], step: turn.id }
+    };
+  }
+
+  /**
+   * Record a user answer and move to the next question unless it fails validation
+   * A turn's `validate` is one rule or a list of rules; the first failing rule's error is returned.
+   * @param {string} answer - User answer or button label
+   */
+  answer(answer) {
+    const turn = this.script.turns[this.turnIndex];
+    const value = answer === undefined || answer === null ? '' : String(answer);
+
+    const failed = [].concat(turn.validate || []).find(rule => !new RegExp(rule.pattern).test(value));
+    if (failed) {
+      return { status: 'error', code: 'validation_error', message: failed.error, step: turn.id };
+    }
+
+    this.answers[turn.id] = value;
+    this.turnIndex = Math.min(this.turnIndex + 1, this.script.turns.length - 1);
+    return this.currentTurn();
+  }
+
+  /**
+   * Next generation progress event, injecting configured faults
+   */
+  nextProgress() {
+    const { progress, faults } = this.script;
+
+    if (faults.errorAtStep !== undefined && this.progressIndex >= faults.errorAtStep) {
+      const failedStep = progress[Math.min(faults.errorAtStep, progress.length - 1)];
+      return { status: 'success', data: { state: 'failed', step: failedStep.step, label: failedStep.label, percent: failedStep.percent, error: faults.errorMessage } };
+    }
+
+    if (this.progressIndex < progress.length) {
+      const event = progress[this.progressIndex++];
+      return { status: 'success', data: { state: 'running', ...event } };
+    }
+
+    const answers = { ...this.businessData, ...this.answers };
+    const pages = this.script.result.pages.map(page => ({ title: fillPlaceholders(page.title, answers), content: fillPlaceholders(page.content, answers) }));
+    return { status: 'success', data: { state: 'complete', step: 'complete', percent: 100, result: { pages } } };
+  }
+
+  /**
+   * Resolve an AI request against the script
+   * @param {Object} request - Request details
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Full request URL
+   * @param {Object|null} request.body - Parsed JSON body, if any
+   * @returns {{status: number, body: Object|string, stream: boolean}} Response to send; `stream` asks for a chunked reply
+   */
+  handle({ method, url, body }) {
+    const { pathname } = new URL(url);
+    const faults = this.script.faults;
+    let kind = null;
+    let payload = null;
+
+    if (/restart|reset/i.test(pathname)) {
+      this.reset();
+      kind = 'message';
+      payload = this.currentTurn();
+    } else if (/progress|status/i.test(pathname)) {
+      kind = 'progress';
+      payload = this.nextProgress();
+      if (payload.data.state === 'complete') {
+        kind = 'result';
+      }
+    } else if (/generate/i.test(pathname)) {
+      this.jobId = `mock-job-${Date.now()}`;
+      this.progressIndex = 0;
+      kind = 'generate';
+      payload = { status: 'success', data: { jobId: this.jobId } };
+    } else if (/conversation|message|chat|question|answer/i.test(pathname)) {
+      kind = 'message';
+      const answer = body && (body.answer !== undefined ? body.answer : body.message);
+      payload = answer === undefined ? this.currentTurn() : this.answer(answer);
+    }
+
+    if (!payload) {
+      this.unmatched.push({ method, url });
+      console.warn(`⚠️  Mock AI has no script entry for ${method} ${url}`);
+      return { status: 404, body: { status: 'error', message: `No mock AI handler for ${method} ${pathname}` }, stream: false };
+    }
+
+    // Assistant text is what a live backend streams token by token
+    const text = JSON.stringify(payload);
+    const stream = this.isStreaming() && (kind === 'message' || kind === 'result');
+
+    if (faults.malformed === kind) {
+      return { status: 200, body: text.slice(0, Math.floor(text.length / 2)), stream };
+    }
+
+    return { status: 200, body: payload, stream };
+  }
+
+  /**
+   * Whether the script streams replies slowly (faults.streamChunkDelayMs)
+   */
+  isStreaming() {
+    return Boolean(this.script.faults && this.script.faults.streamChunkDelayMs);
+  }
+
+  /**
+   * Start the streaming server for this backend, once
+   * @returns {Promise<string>} Server URL
+   */
+  async ensureServer() {
+    if (!this.server) {
+      this.server = await startMockAIServer({ backend: this });
+    }
+    return this.server.url;
+  }
+
+  /**
+   * Stop the streaming server, if it was started
+   */
+  async close() {
+    if (this.server) {
+      await this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+/**
+ * Serve a scripted backend over HTTP
+ * Replies marked `stream` are written in chunks of faults.streamChunkChars characters,
+ * faults.streamChunkDelayMs apart, with chunked transfer encoding.
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {MockAIBackend} options.backend - Backend to serve
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+function startMockAIServer({ port = 0, backend = new MockAIBackend() } = {}) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      let body = null;
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+      } catch {
+        // Form-encoded or empty bodies carry no answer
+      }
+
+      const response = backend.handle({ method: req.method, url: `http://${req.headers.host}${req.url}`, body });
+      const text = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+      res.writeHead(response.status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+
+      if (!response.stream) {
+        res.end(text);
+        return;
+      }
+
+      const { streamChunkChars = 8, streamChunkDelayMs } = backend.script.faults;
+      backend.streamedReplies++;
+      for (let offset = 0; offset < text.length && !res.destroyed; offset += streamChunkChars) {
+        res.write(text.slice(offset, offset + streamChunkChars));
+        await new Promise(resolve => setTimeout(resolve, streamChunkDelayMs));
+      }
+      res.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      console.log(`🤖 Mock AI streaming server listening on: ${url}`);
+      resolve({
+        url,
+        close: () => new Promise(done => {
+          // Streamed replies keep their connection open until the last chunk
+          if (server.closeAllConnections) {
+            server.closeAllConnections();
+          }
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Route AI requests from a page or browser context to a scripted backend
+ * @param {import('@playwright/test').BrowserContext|import('@playwright/test').Page} target - Page or context to intercept
+ * @param {MockAIBackend} backend - Backend to serve
+ */
+async function installMockAI(target, backend = new MockAIBackend()) {
+  await target.route(backend.config.mockAI.urlPattern, async route => {
+    const request = route.request();
+    let body = null;
+
+    try {
+      body = request.postDataJSON();
+    } catch {
+      // Form-encoded or empty bodies carry no answer
+    }
+
+    // route.fulfill() sends the whole body at once, so streamed scripts are served by the local server
+    if (backend.isStreaming()) {
+      const url = new URL(request.url());
+      if (url.protocol !== 'http:') {
+        throw new Error(`Streaming AI scripts need an http: AI endpoint to redirect to the local server, got ${url.origin}`);
+      }
+      await route.continue({ url: `${await backend.ensureServer()}${url.pathname}${url.search}` });
+      return;
+    }
+
+    const response = backend.handle({ method: request.method(), url: request.url(), body });
+    await route.fulfill({
+      status: response.status,
+      contentType: 'application/json',
+      body: typeof response.body === 'string' ? response.body : JSON.stringify(response.body)
+    });
+  });
+
+  console.log(`🤖 Mock AI backend installed for: ${backend.config.mockAI.urlPattern}`);
+  return backend;
+}
+
+module.exports = {
+  MockAIBackend,
+  startMockAIServer,
+  loadAIScript,
+  getScenarioScriptName,
+  installMockAI
+};
@@ -0,0 +1,274 @@
+/**
+ * Mock Templately Cloud API for Offline Playwright Tests
+ *
+ * This module serves a fixture catalog of packs, categories, search results and
+ * pack download payloads in place of the live Templately cloud. It can run as a
+ * page.route interception layer for browser traffic, or as a small HTTP server
+ * for WordPress installs configured to fetch packs from a local endpoint. The
+ * server can also break pack downloads on request (see DOWNLOAD_FAULTS), since
+ * WordPress downloads and unpacks packs server-side.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { getConfig } = require('./config');
+
+// Control endpoint of the HTTP server for download faults
+const FAULT_PATH = '/__mock/fault';
+
+/**
+ * Broken pack download responses, by fault name
+ */
+const DOWNLOAD_FAULTS = {
+  'download-500': () => ({
+    status: 500,
+    body: { status: 'error', message: 'Internal Server Error' }
+  }),
+  'truncated-zip': () => ({
+    status: 200,
+    contentType: 'application/zip',
+    // Local file header signature followed by a cut-off entry
+    body: Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00, 0x00, 0x00, 0x08, 0x00])
+  })
+};
+
+/**
+ * Fixture-backed Templately cloud catalog
+ */
+class MockCloudCatalog {
+  constructor(config = getConfig()) {
+    this.config = config;
+    this.unmatched = [];
+    this.fault = null;
+    this.faultHits = 0;
+
+    const fixturePath = path.resolve(__dirname, '..', config.mockCloud.fixtureDir, 'catalog.json');
+    const { categories, packs } = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    this.categories = categories;
+    this.packs = packs;
+  }
+
+  /**
+   * Find a pack by ID or slug
+   * @param {string} idOrSlug - Pack ID or slug
+   * @returns {Object|undefined} Pack fixture
+   */
+  getPack(idOrSlug) {
+    return this.packs.find(pack => pack.id === idOrSlug || pack.slug === idOrSlug);
+  }
+
+  /**
+   * Find a pack by the display name the library shows (data-template-name)
+   * @param {string} name - Pack name
+   * @returns {Object|undefined} Pack fixture
+   */
+  getPackByName(name) {
+    return this.packs.find(pack => pack.name === name);
+  }
+
+  /**
+   * Break every pack download from now on, or stop breaking them
+   * @param {string|null} fault - Key of DOWNLOAD_FAULTS, or null
+   */
+  setFault(fault) {
+    if (fault !== null && !DOWNLOAD_FAULTS[fault]) {
+      throw new Error(`Unknown download fault: ${fault} (available: ${Object.keys(DOWNLOAD_FAULTS).join(', ')})`);
+    }
+    this.fault = fault;
+    this.faultHits = 0;
+  }
+
+  /**
+   * Filter packs by builder platform, category and search term
+   * @param {Object} filters - Filters
+   * @param {string} filters.platform - Builder platform (defaults to platform.builder)
+   * @param {string} filters.category - Category slug
+   * @param {string} filters.search - Search term matched against name and tags
+   * @returns {Array} Matching packs
+   */
+  listPacks({ platform, category, search } = {}) {
+    const term = (search || '').toLowerCase();
+    const builder = platform || this.config.platform.builder;
+
+    return this.packs.filter(pack =>
+      pack.platform === builder &&
+      (!category || pack.category === category) &&
+      (!term || pack.name.toLowerCase().includes(term) || pack.tags.some(tag => tag.includes(term)))
+    );
+  }
+
+  /**
+   * Build the download payload for a pack
+   * @param {Object} pack - Pack fixture
+   * @returns {Object} Import manifest
+   */
+  getDownloadPayload(pack) {
+    return {
+      id: pack.id,
+      name: pack.name,
+      platform: pack.platform,
+      dependencies: pack.dependencies,
+      manifest: {
+        pages: pack.pages.map(title => ({ title, slug: title.toLowerCase().replace(/\s+/g, '-') })),
+        templates: pack.templates.map(title => ({ title, type: title.toLowerCase().replace(/\s+/g, '_') }))
+      }
+    };
+  }
+
+  /**
+   * Resolve a cloud request against the fixture catalog
+   * Handles REST-style paths as well as GraphQL requests routed by operation name.
+   * @param {Object} request - Request details
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Full request URL
+   * @param {Object|null} request.body - Parsed JSON body, if any
+   * @returns {{status: number, body: Object|Buffer, contentType?: string}} Response to send; Buffers are sent as they are
+   */
+  handle({ method, url, body }) {
+    const { pathname, searchParams } = new URL(url);
+    const graphql = body && typeof body.query === 'string' ? body : null;
+    const variables = (graphql && graphql.variables) || {};
+    const operation = graphql ? `${graphql.operationName || ''} ${graphql.query}` : pathname;
+
+    const packId = variables.id || variables.slug || (pathname.match(/\/packs?\/([^/]+)/) || [])[1];
+    const category = variables.category || searchParams.get('category');
+    const search = variables.search || searchParams.get('search') || searchParams.get('q');
+    const platform = variables.platform || searchParams.get('platform');
+
+    if (/download|import/i.test(operation)) {
+      if (this.fault) {
+        this.faultHits++;
+        console.log(`💥 Download fault "${this.fault}" hit: ${method} ${url}`);
+        return DOWNLOAD_FAULTS[this.fault]();
+      }
+
+      const pack = this.getPack(packId);
+      return pack
+        ? { status: 200, body: { status: 'success', data: this.getDownloadPayload(pack) } }
+        : { status: 404, body: { status: 'error', message: `Pack not found: ${packId}` } };
+    }
+
+    if (/categor/i.test(operation)) {
+      return { status: 200, body: { status: 'success', data: this.categories } };
+    }
+
+    if (/search/i.test(operation) || search) {
+      const results = this.listPacks({ platform, category, search });
+      return { status: 200, body: { status: 'success', data: results, total: results.length } };
+    }
+
+    if (/pack/i.test(operation)) {
+      if (packId && !graphql) {
+        const pack = this.getPack(packId);
+        return pack
+          ? { status: 200, body: { status: 'success', data: pack } }
+          : { status: 404, body: { status: 'error', message: `Pack not found: ${packId}` } };
+      }
+
+      const results = this.listPacks({ platform, category });
+      return { status: 200, body: { status: 'success', data: results, total: results.length } };
+    }
+
+    this.unmatched.push({ method, url, operation: graphql ? graphql.operationName : undefined });
+    console.warn(`⚠️  Mock cloud has no fixture for ${method} ${url}`);
+    return { status: 404, body: { status: 'error', message: `No mock fixture for ${method} ${pathname}` } };
+  }
+}
+
+/**
+ * Route Templately cloud requests from a page or browser context to the mock catalog
+ * @param {import('@playwright/test').BrowserContext|import('@playwright/test').Page} target - Page or context to intercept
+ * @param {MockCloudCatalog} catalog - Catalog to serve
+ */
+async function installMockCloud(target, catalog = new MockCloudCatalog()) {
+  await target.route(catalog.config.mockCloud.urlPattern, async route => {
+    const request = route.request();
+    let body = null;
+
+    try {
+      body = request.postDataJSON();
+    } catch {
+      // Form-encoded or empty bodies are matched on the URL alone
+    }
+
+    const response = catalog.handle({ method: request.method(), url: request.url(), body });
+    await route.fulfill({
+      status: response.status,
+      contentType: response.contentType || 'application/json',
+      body: Buffer.isBuffer(response.body) ? response.body : JSON.stringify(response.body)
+    });
+  });
+
+  console.log(`☁️  Mock Templately cloud installed for: ${catalog.config.mockCloud.urlPattern}`);
+  return catalog;
+}
+
+/**
+ * Serve the mock catalog over HTTP
+ * PUT {"fault": name|null} to /__mock/fault breaks pack downloads; GET reports the fault and
+ * how many downloads it broke.
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (defaults to mockCloud.port)
+ * @param {MockCloudCatalog} options.catalog - Catalog to serve
+ * @returns {Promise<{url: string, catalog: MockCloudCatalog, close: Function}>}
+ */
+function startMockCloudServer({ port = getConfig().mockCloud.port, catalog = new MockCloudCatalog() } = {}) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let body = null;
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+      } catch {
+        // Non-JSON bodies are matched on the URL alone
+      }
+
+      if (req.url === FAULT_PATH) {
+        let status = 200;
+        let reply;
+        try {
+          if (req.method === 'PUT') {
+            catalog.setFault(body && body.fault ? body.fault : null);
+          }
+          reply = { fault: catalog.fault, hits: catalog.faultHits };
+        } catch (error) {
+          status = 400;
+          reply = { status: 'error', message: error.message };
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply));
+        return;
+      }
+
+      const response = catalog.handle({ method: req.method, url: `http://${req.headers.host}${req.url}`, body });
+      res.writeHead(response.status, { 'Content-Type': response.contentType || 'application/json' });
+      res.end(Buffer.isBuffer(response.body) ? response.body : JSON.stringify(response.body));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      console.log(`☁️  Mock Templately cloud listening on: ${url}`);
+      resolve({ url, catalog, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+module.exports = {
+  DOWNLOAD_FAULTS,
+  FAULT_PATH,
+  MockCloudCatalog,
+  installMockCloud,
+  startMockCloudServer
+};
+
+if (require.main === module) {
+  startMockCloudServer().catch(error => {
+    console.error('❌ Mock cloud server failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,225 @@
+/**
+ * WordPress Multisite Helper Functions for Playwright Tests
+ *
+ * This module provides utilities for running Templately tests on a multisite
+ * network described by playwright.json, including network activation,
+ * throwaway subsite management and cross-site isolation checks.
+ */
+
+const { getRoleCredentials } = require('./auth-state');
+const { getConfig } = require('./config');
+const { WordPressState } = require('./wp-state');
+
+/**
+ * Check whether the run targets a multisite network
+ * @returns {boolean} True if multisite.enabled is set (WP_MULTISITE=1)
+ */
+function isMultisiteEnabled() {
+  return getConfig().multisite.enabled;
+}
+
+/**
+ * Get the multisite environment, resolved from playwright.json and its overrides
+ * @returns {{networkUrl: string, testSiteUrl: string, blogId: number, subsiteSlug: string}}
+ */
+function getMultisiteEnvironment() {
+  return getConfig().multisite;
+}
+
+/**
+ * Whether a site URL is the subsite with this slug on the network
+ * Subdirectory installs put the slug in the first path segment below the network path,
+ * subdomain installs in the first label of the host; both must match exactly.
+ * @param {string} siteUrl - Site URL
+ * @param {string} slug - Subsite slug
+ * @param {string} networkUrl - Network (main site) URL
+ * @returns {boolean}
+ */
+function isSubsiteUrl(siteUrl, slug, networkUrl) {
+  const site = new URL(siteUrl);
+  const network = new URL(networkUrl);
+  const networkPath = network.pathname.replace(/\/+$/, '');
+
+  if (site.hostname === network.hostname) {
+    return site.pathname.replace(/\/+$/, '') === `${networkPath}/${slug}`;
+  }
+  return site.hostname === `${slug}.${network.hostname}` && site.pathname.replace(/\/+$/, '') === networkPath;
+}
+
+/**
+ * Multisite Network Management
+ */
+class MultisiteNetwork {
+  constructor(page, config = getConfig()) {
+    this.page = page;
+    this.config = config;
+    this.env = config.multisite;
+  }
+
+  /**
+   * Open a site's wp-admin, logging in as the super admin if that site has no session yet
+   * Subdomain installs keep separate auth cookies per site.
+   * @param {string} siteUrl - Site URL without trailing slash
+   */
+  async loginToSite(siteUrl) {
+    await this.page.goto(`${siteUrl}/wp-admin/`);
+
+    if (await this.page.locator('#loginform').isVisible()) {
+      const selectors = this.config.selectors.login;
+      const { username, password } = getRoleCredentials('admin');
+      await this.page.fill(selectors.username, username);
+      await this.page.fill(selectors.password, password);
+      await this.page.click(selectors.submit);
+    }
+
+    await this.page.waitForSelector('#wpadminbar', { timeout: this.config.timeouts.pageLoad });
+    console.log(`✅ Logged into site: ${siteUrl}`);
+  }
+
+  /**
+   * Network-activate Templately from the network plugins screen
+   */
+  async networkActivateTemplately() {
+    await this.page.goto(`${this.env.networkUrl}/wp-admin/network/plugins.php`);
+
+    const templatelyRow = this.page.locator('tr[data-slug="templately"]');
+    const isActive = await templatelyRow.locator('.deactivate').isVisible();
+
+    if (isActive) {
+      console.log('✅ Templately plugin is already network active');
+      return;
+    }
+
+    console.log('🔌 Network activating Templately plugin...');
+    await templatelyRow.locator('.activate a').click();
+    await this.page.waitForSelector('.notice-success, #message.updated', { timeout: this.config.timeouts.pageLoad });
+    console.log('✅ Templately plugin network activated');
+  }
+
+  /**
+   * Find a subsite in the network sites list
+   * The search also lists sites whose address merely contains the slug
+   * (e.g. templately-e2e-staging), so each site URL is compared exactly.
+   * @param {string} slug - Subsite slug
+   * @returns {number|null} Blog ID, or null if the site does not exist
+   */
+  async findSubsite(slug) {
+    await this.page.goto(`${this.env.networkUrl}/wp-admin/network/sites.php?s=${encodeURIComponent(slug)}`);
+
+    const rows = this.page.locator('#the-list tr:has(a[href*="site-info.php?id="])');
+    const count = await rows.count();
+
+    for (let i = 0; i < count; i++) {
+      const row = rows.nth(i);
+      const visitHref = await row.locator('.row-actions .visit a').first().getAttribute('href');
+
+      if (visitHref && isSubsiteUrl(visitHref, slug, this.env.networkUrl)) {
+        const editHref = await row.locator('a[href*="site-info.php?id="]').first().getAttribute('href');
+        return Number(editHref.match(/id=(\d+)/)[1]);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * List every site on the network from the network Sites screen
+   * @returns {Promise<Array<{blogId: number, siteUrl: string}>>} Sites in list order
+   */
+  async listSites() {
+    const sites = [];
+
+    for (let paged = 1; ; paged++) {
+      await this.page.goto(`${this.env.networkUrl}/wp-admin/network/sites.php?paged=${paged}`);
+      const rows = this.page.locator('#the-list tr:has(a[href*="site-info.php?id="])');
+      const count = await rows.count();
+
+      for (let i = 0; i < count; i++) {
+        const row = rows.nth(i);
+        const editHref = await row.locator('a[href*="site-info.php?id="]').first().getAttribute('href');
+        const visitHref = await row.locator('.row-actions .visit a').first().getAttribute('href');
+
+        sites.push({
+          blogId: Number(editHref.match(/id=(\d+)/)[1]),
+          siteUrl: visitHref.replace(/\/+$/, '')
+        });
+      }
+
+      // The last page shows the next-page control as a disabled span instead of a link
+      if (count === 0 || await this.page.locator('.tablenav.top a.next-page').count() === 0) {
+        break;
+      }
+    }
+
+    return sites;
+  }
+
+  /**
+   * Delete a subsite by blog ID
+   * @param {number} blogId - Blog ID to delete
+   */
+  async deleteSubsite(blogId) {
+    if (blogId === 1 || blogId === this.env.blogId) {
+      throw new Error(`Refusing to delete protected site with blog ID ${blogId}`);
+    }
+
+    await this.page.goto(`${this.env.networkUrl}/wp-admin/network/sites.php`);
+    const row = this.page.locator(`#the-list tr:has(a[href*="site-info.php?id=${blogId}"])`);
+    await row.hover();
+    await row.locator('.delete a').click();
+
+    // WordPress asks for confirmation on a separate screen
+    await this.page.click('#submit');
+    await this.page.waitForSelector('#message.updated, .notice-success', { timeout: this.config.timeouts.networkRequest });
+    console.log(`🗑️  Deleted subsite with blog ID: ${blogId}`);
+  }
+
+  /**
+   * Create the throwaway subsite for this run, deleting any leftover copy first
+   * @param {string} slug - Subsite slug
+   * @returns {{blogId: number, siteUrl: string}} Created subsite
+   */
+  async resetTestSubsite(slug = this.env.subsiteSlug) {
+    const existingId = await this.findSubsite(slug);
+    if (existingId) {
+      console.log(`♻️  Resetting existing subsite: ${slug}`);
+      await this.deleteSubsite(existingId);
+    }
+
+    await this.page.goto(`${this.env.networkUrl}/wp-admin/network/site-new.php`);
+    await this.page.fill('#site-address', slug);
+    await this.page.fill('#site-title', `Templately E2E ${slug}`);
+    await this.page.fill('#admin-email', `${slug}@example.com`);
+    await this.page.click('#add-site');
+
+    const notice = this.page.locator('#message.updated, .notice-success');
+    await notice.waitFor({ timeout: this.config.timeouts.networkRequest });
+
+    const editHref = await notice.locator('a[href*="site-info.php?id="]').getAttribute('href');
+    const dashboardHref = await notice.locator('a[href*="/wp-admin/"]:not([href*="network"])').first().getAttribute('href');
+
+    const subsite = {
+      blogId: Number(editHref.match(/id=(\d+)/)[1]),
+      siteUrl: dashboardHref.replace(/\/wp-admin\/?.*$/, '')
+    };
+
+    console.log(`✅ Created subsite ${slug} (blog ID ${subsite.blogId}) at ${subsite.siteUrl}`);
+    return subsite;
+  }
+
+  /**
+   * Capture the parts of a site an FSI import would change
+   * @param {string} siteUrl - Site URL without trailing slash
+   * @returns {Object} See WordPressState.captureSiteState()
+   */
+  async captureSiteState(siteUrl) {
+    await this.loginToSite(siteUrl);
+    return new WordPressState(this.page, this.config).captureSiteState(siteUrl);
+  }
+}
+
+module.exports = {
+  isMultisiteEnabled,
+  getMultisiteEnvironment,
+  MultisiteNetwork
+};
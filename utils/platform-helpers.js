@@ -0,0 +1,233 @@
+/**
+ * Builder Platform Helpers for Templately Tests
+ *
+ * Templately ships packs for Elementor and for the block editor (Gutenberg).
+ * This module describes each platform, derives platform-specific config and
+ * checks that imported pages were stored the way the platform stores them:
+ * Elementor data in post meta, or block markup in post_content.
+ */
+
+const { getConfig, getSitePages } = require('./config');
+const { runWpCli } = require('./wp-cli');
+
+/**
+ * Supported builder platforms
+ * `packsPath` is the Templately dashboard route; `primaryColorVar` is the CSS custom
+ * property the front end exposes for the pack's primary color.
+ */
+const BUILDER_PLATFORMS = {
+  elementor: {
+    label: 'Elementor',
+    packsPath: 'elementor/packs',
+    plugin: 'elementor',
+    primaryColorVar: '--e-global-color-primary'
+  },
+  gutenberg: {
+    label: 'Gutenberg',
+    packsPath: 'gutenberg/packs',
+    plugin: null,
+    primaryColorVar: '--wp--preset--color--primary'
+  }
+};
+
+/**
+ * Look up a builder platform
+ * @param {string} builder - Key of BUILDER_PLATFORMS
+ * @returns {Object} Platform definition
+ */
+function getBuilderPlatform(builder) {
+  const platform = BUILDER_PLATFORMS[builder];
+  if (!platform) {
+    throw new Error(`Unknown builder platform: ${builder} (available: ${Object.keys(BUILDER_PLATFORMS).join(', ')})`);
+  }
+  return platform;
+}
+
+/**
+ * Copy of the config with another builder platform
+ * @param {Object} config - Test configuration
+ * @param {string} builder - Key of BUILDER_PLATFORMS
+ * @returns {Object} Frozen configuration
+ */
+function withBuilderPlatform(config, builder) {
+  getBuilderPlatform(builder);
+  if (config.platform.builder === builder) {
+    return config;
+  }
+  return Object.freeze({ ...config, platform: Object.freeze({ ...config.platform, builder }) });
+}
+
+/**
+ * Templately dashboard path for the configured platform
+ * The `path` query parameter of the dashboard page is replaced with the platform's packs route.
+ * @param {Object} config - Test configuration
+ * @returns {string} Site-relative dashboard path
+ */
+function getDashboardPath(config = getConfig()) {
+  const url = new URL(getSitePages(config).dashboard, 'http://localhost');
+  url.searchParams.set('path', getBuilderPlatform(config.platform.builder).packsPath);
+  return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Read the Elementor meta of a page
+ * Uses the REST `meta` field when Elementor registers it there, otherwise WP-CLI when
+ * it is configured (snapshot.enabled). Returns null when neither is available.
+ */
+async function readElementorMeta(page, config) {
+  const meta = page.meta || {};
+  if ('_elementor_data' in meta || '_elementor_edit_mode' in meta) {
+    return { editMode: meta._elementor_edit_mode || null, data: meta._elementor_data || null };
+  }
+
+  if (!config.snapshot.enabled) {
+    return null;
+  }
+
+  const read = key => runWpCli(['post', 'meta', 'get', String(page.id), key], { config }).catch(() => '');
+  return { editMode: (await read('_elementor_edit_mode')) || null, data: (await read('_elementor_data')) || null };
+}
+
+/**
+ * Count the Elementor elements in serialized _elementor_data
+ */
+function countElementorElements(data) {
+  let elements;
+  try {
+    elements = typeof data === 'string' ? JSON.parse(data) : data;
+  } catch {
+    return 0;
+  }
+
+  const count = items => (Array.isArray(items) ? items : [])
+    .reduce((total, item) => total + 1 + count(item && item.elements), 0);
+  return count(elements);
+}
+
+/**
+ * Inspect how imported pages are stored
+ * @param {WordPressRestClient} client - Authenticated REST client
+ * @param {Array<{id: number, title: string}>} pages - Imported pages (from a manifest)
+ * @param {Object} config - Test configuration
+ * @returns {Promise<Array>} Per page: block count, Elementor edit mode and element count
+ */
+async function inspectPageContent(client, pages, config = getConfig()) {
+  const report = [];
+
+  for (const { id, title } of pages) {
+    const { status, data } = await client.get(`wp/v2/pages/${id}`, { context: 'edit' });
+    if (status !== 200 || !data) {
+      report.push({ id, title, found: false });
+      continue;
+    }
+
+    const raw = (data.content && data.content.raw) || '';
+    const rendered = (data.content && data.content.rendered) || '';
+    const elementorMeta = await readElementorMeta(data, config);
+
+    report.push({
+      id,
+      title,
+      found: true,
+      blocks: (raw.match(/<!-- wp:[a-z]/g) || []).length,
+      elementorEditMode: elementorMeta ? elementorMeta.editMode : null,
+      elementorElements: elementorMeta ? countElementorElements(elementorMeta.data) : null,
+      // Rendered Elementor wrapper, the only evidence left when the meta cannot be read
+      elementorMarkup: /data-elementor-type=|class="elementor elementor-\d+/.test(rendered)
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Check imported pages against the platform they were imported for
+ * Elementor pages need builder edit mode and non-empty _elementor_data (or, when the meta
+ * cannot be read, rendered Elementor markup). Gutenberg pages need block markup in
+ * post_content and no Elementor builder data.
+ * @param {Array} report - Result of inspectPageContent()
+ * @param {string} builder - Key of BUILDER_PLATFORMS
+ * @returns {string[]} Human-readable problems
+ */
+function findPlatformContentProblems(report, builder) {
+  const { label } = getBuilderPlatform(builder);
+  const problems = [];
+
+  report.forEach(page => {
+    const name = `"${page.title}" (${page.id})`;
+
+    if (!page.found) {
+      problems.push(`${name} could not be read over REST`);
+    } else if (builder === 'elementor') {
+      if (page.elementorEditMode === null) {
+        if (!page.elementorMarkup) {
+          problems.push(`${name} has no readable Elementor meta and no Elementor markup`);
+        }
+      } else if (page.elementorEditMode !== 'builder' || page.elementorElements === 0) {
+        problems.push(`${name} has no ${label} data (_elementor_edit_mode=${page.elementorEditMode}, ${page.elementorElements} elements)`);
+      }
+    } else {
+      if (page.blocks === 0) {
+        problems.push(`${name} has no block markup in post_content`);
+      }
+      if (page.elementorEditMode === 'builder' || page.elementorMarkup) {
+        problems.push(`${name} was stored as an Elementor page`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Read the primary color WordPress stores for the platform
+ * Elementor keeps it in the active kit (elementor/v1/globals); block themes keep it in the
+ * user's global styles palette, falling back to the theme palette.
+ * @param {WordPressRestClient} client - Authenticated REST client
+ * @param {string} builder - Key of BUILDER_PLATFORMS
+ * @returns {Promise<string|null>} Color value as stored
+ */
+async function readPrimaryColor(client, builder) {
+  if (builder === 'elementor') {
+    const globals = await client.get('elementor/v1/globals');
+    const colors = (globals.status === 200 && globals.data && globals.data.colors) || {};
+    return colors.primary ? colors.primary.value : null;
+  }
+
+  const themes = await client.get('wp/v2/themes', { status: 'active' });
+  const theme = Array.isArray(themes.data) ? themes.data[0] : null;
+  if (!theme) {
+    return null;
+  }
+
+  // theme.json palettes are a list; saved user styles group them by origin
+  const findPrimary = styles => {
+    const palette = (styles && styles.settings && styles.settings.color && styles.settings.color.palette) || [];
+    const colors = Array.isArray(palette) ? palette : [...(palette.custom || []), ...(palette.theme || [])];
+    const primary = colors.find(color => color.slug === 'primary');
+    return primary ? primary.color : null;
+  };
+
+  const link = theme._links && theme._links['wp:user-global-styles'];
+  const stylesId = link ? (decodeURIComponent(link[0].href).match(/global-styles\/(\d+)/) || [])[1] : null;
+  if (stylesId) {
+    const userStyles = await client.get(`wp/v2/global-styles/${stylesId}`, { context: 'edit' });
+    const primary = findPrimary(userStyles.data);
+    if (primary) {
+      return primary;
+    }
+  }
+
+  const themeStyles = await client.get(`wp/v2/global-styles/themes/${encodeURIComponent(theme.stylesheet)}`);
+  return themeStyles.status === 200 ? findPrimary(themeStyles.data) : null;
+}
+
+module.exports = {
+  BUILDER_PLATFORMS,
+  getBuilderPlatform,
+  withBuilderPlatform,
+  getDashboardPath,
+  inspectPageContent,
+  findPlatformContentProblems,
+  readPrimaryColor
+};
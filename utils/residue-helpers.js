@@ -0,0 +1,156 @@
+/**
+ * Import Residue Helpers for Sequential Re-import Tests
+ *
+ * This module compares REST manifests (see wp-rest.js) across a sequence of
+ * imports and reports what each import left behind: duplicated pages, stale
+ * or leftover menus, orphaned media, the front page and leftover templates.
+ */
+
+const { diffManifests, findDuplicateTitles, findImportResidue } = require('./wp-rest');
+
+/**
+ * What each re-import policy allows
+ * `replace`: a new pack removes the previous pack's pages, menus and templates.
+ * `merge`: a new pack adds to what is there and removes nothing.
+ * Under both, re-importing a pack must not duplicate its pages, menus must not point at deleted
+ * pages, media must not be orphaned and the front page must come from the latest pack.
+ */
+const REIMPORT_POLICIES = {
+  replace: {
+    description: 'each import replaces the previous pack',
+    keepsPreviousPages: false,
+    allowsLeftoverMenus: false,
+    allowsLeftoverTemplates: false
+  },
+  merge: {
+    description: 'each import adds to the previous packs',
+    keepsPreviousPages: true,
+    allowsLeftoverMenus: true,
+    allowsLeftoverTemplates: true
+  }
+};
+
+/**
+ * Tracks residue across a sequence of imports
+ */
+class ResidueTracker {
+  constructor(baseline) {
+    this.baseline = baseline;
+    this.previous = baseline;
+    this.added = [];
+    this.steps = [];
+  }
+
+  /**
+   * Record the site after an import step
+   * @param {string} label - Step label, e.g. 'A', 'B', 'A again'
+   * @param {string} template - Template that was imported
+   * @param {Object} manifest - Manifest captured after the step
+   * @param {{pages: string[]}} importedItems - Titles from the import summary
+   * @returns {Object} Residue report for this step
+   */
+  recordStep(label, template, manifest, importedItems) {
+    const addedByStep = diffManifests(this.previous, manifest);
+    const residue = findImportResidue(this.baseline, manifest);
+    const exists = (items, item) => items.some(current => current.id === item.id);
+    const allTemplates = site => [...site.templates.templately, ...site.templates.elementor];
+    const earlier = this.added.map(step => step.manifest);
+
+    // Pages from earlier imports of the same pack that are still on the site, plus this step's
+    const samePackPages = this.added
+      .filter(step => step.template === template)
+      .flatMap(step => step.manifest.pages.filter(page => exists(manifest.pages, page)));
+
+    const liveIds = new Set([...manifest.pages, ...manifest.posts].map(item => item.id));
+    const sinceBaseline = diffManifests(this.baseline, manifest);
+    const staleMenus = sinceBaseline.menus
+      .filter(menu => menu.items.some(item => item.object === 'page' && !liveIds.has(item.objectId)))
+      .map(menu => menu.name);
+
+    const frontPage = manifest.pages.find(page => page.id === manifest.frontPage.pageOnFront);
+
+    const report = {
+      step: label,
+      template,
+      pagesAdded: addedByStep.pages.map(page => page.title),
+      duplicatePages: findDuplicateTitles([...samePackPages, ...addedByStep.pages]),
+      previousPagesRemaining: earlier.flatMap(step => step.pages.filter(page => exists(manifest.pages, page))).map(page => page.title),
+      previousPagesRemoved: earlier.flatMap(step => step.pages.filter(page => !exists(manifest.pages, page))).map(page => page.title),
+      staleMenus,
+      leftoverMenus: earlier.flatMap(step => step.menus.filter(menu => exists(manifest.menus, menu))).map(menu => menu.name),
+      orphanMedia: residue.orphanMedia,
+      leftoverTemplates: earlier.flatMap(step => allTemplates(step).filter(item => exists(allTemplates(manifest), item))).map(item => item.title),
+      frontPage: {
+        showOnFront: manifest.frontPage.showOnFront,
+        title: frontPage ? frontPage.title : null,
+        fromLatestImport: Boolean(frontPage && importedItems.pages.includes(frontPage.title))
+      }
+    };
+
+    this.added = [...this.added, { template, manifest: addedByStep }];
+    this.previous = manifest;
+    this.steps.push(report);
+    return report;
+  }
+
+  /**
+   * Render every step as Markdown
+   * @returns {string} Markdown report
+   */
+  formatMarkdown() {
+    const list = items => items.length > 0 ? items.map(item => `\`${typeof item === 'string' ? item : item.title}\``).join(', ') : '-';
+
+    return [
+      '# Re-import Residue',
+      '',
+      '| Step | Template | Pages added | Duplicate pages | Earlier pages left | Stale menus | Leftover menus | Orphan media | Leftover templates | Front page |',
+      '| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+      ...this.steps.map(step => `| ${step.step} | ${step.template} | ${step.pagesAdded.length} | ${list(step.duplicatePages)} | ` +
+        `${list(step.previousPagesRemaining)} | ${list(step.staleMenus)} | ${list(step.leftoverMenus)} | ${list(step.orphanMedia)} | ` +
+        `${list(step.leftoverTemplates)} | ${step.frontPage.title || step.frontPage.showOnFront}${step.frontPage.fromLatestImport ? '' : ' ⚠️'} |`),
+      ''
+    ].join('\n');
+  }
+}
+
+/**
+ * Check a step report against a re-import policy
+ * @param {Object} report - Result of ResidueTracker.recordStep()
+ * @param {string} policyName - Key of REIMPORT_POLICIES
+ * @returns {string[]} Human-readable violations
+ */
+function findPolicyViolations(report, policyName) {
+  const policy = REIMPORT_POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown re-import policy: ${policyName} (available: ${Object.keys(REIMPORT_POLICIES).join(', ')})`);
+  }
+
+  const violations = [];
+  const flag = (condition, message) => {
+    if (condition) {
+      violations.push(`${report.step}: ${message}`);
+    }
+  };
+
+  flag(report.duplicatePages.length > 0, `duplicated pages ${report.duplicatePages.join(', ')}`);
+  flag(report.staleMenus.length > 0, `menus linking to deleted pages: ${report.staleMenus.join(', ')}`);
+  flag(report.orphanMedia.length > 0, `${report.orphanMedia.length} orphaned media item(s)`);
+  flag(!report.frontPage.fromLatestImport, `front page "${report.frontPage.title}" is not from the latest import`);
+
+  if (policy.keepsPreviousPages) {
+    flag(report.previousPagesRemoved.length > 0, `earlier pages removed: ${report.previousPagesRemoved.join(', ')}`);
+  } else {
+    flag(report.previousPagesRemaining.length > 0, `earlier pages left behind: ${report.previousPagesRemaining.join(', ')}`);
+  }
+
+  flag(!policy.allowsLeftoverMenus && report.leftoverMenus.length > 0, `earlier menus left behind: ${report.leftoverMenus.join(', ')}`);
+  flag(!policy.allowsLeftoverTemplates && report.leftoverTemplates.length > 0, `earlier templates left behind: ${report.leftoverTemplates.join(', ')}`);
+
+  return violations;
+}
+
+module.exports = {
+  REIMPORT_POLICIES,
+  ResidueTracker,
+  findPolicyViolations
+};
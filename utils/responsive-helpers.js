@@ -0,0 +1,226 @@
+/**
+ * Responsive Layout Checks for Previews and Imported Sites
+ *
+ * This module drives the FSI preview's device toggles and renders imported
+ * front-end pages at the configured breakpoints. At each size it checks that
+ * header, main and footer are visible and reports horizontal overflow,
+ * off-screen elements and overlapping elements.
+ */
+
+const { getConfig } = require('./config');
+
+// Device toggles Templately has shown above the FSI preview
+const PREVIEW_DEVICE_TOGGLES = {
+  desktop: '[data-device="desktop"], button[aria-label*="Desktop" i]',
+  tablet: '[data-device="tablet"], button[aria-label*="Tablet" i]',
+  mobile: '[data-device="mobile"], button[aria-label*="Mobile" i]'
+};
+
+const LAYOUT_REGIONS = {
+  header: 'header, [role="banner"], .site-header, .elementor-location-header',
+  main: 'main, [role="main"]',
+  footer: 'footer, [role="contentinfo"], .site-footer, .elementor-location-footer'
+};
+
+// Most offenders to report per check, so one broken section does not flood the report
+const MAX_OFFENDERS = 20;
+
+/**
+ * Parse responsive.breakpoints ('360x740,768x1024') into viewport sizes
+ * @param {string} breakpoints - Comma-separated WIDTHxHEIGHT list
+ * @returns {Array<{width: number, height: number}>}
+ */
+function parseBreakpoints(breakpoints) {
+  return breakpoints.split(',').map(size => {
+    const [width, height] = size.split('x').map(Number);
+    return { width, height };
+  });
+}
+
+/**
+ * Audit the layout of the current document; runs in the browser
+ * Elements hidden by CSS, aria-hidden or clipped by an overflow container (sliders,
+ * off-canvas menus) are ignored.
+ */
+function auditLayout({ regions, maxOffenders }) {
+  const viewportWidth = document.documentElement.clientWidth;
+
+  const describe = element => {
+    const id = element.id ? `#${element.id}` : '';
+    const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  const isShown = element => {
+    const rect = element.getBoundingClientRect();
+    const style = getComputedStyle(element);
+    return rect.width > 1 && rect.height > 1 && style.visibility !== 'hidden' && style.display !== 'none' &&
+      Number(style.opacity) > 0 && !element.closest('[aria-hidden="true"], [inert]');
+  };
+
+  const isClipped = element => {
+    const rect = element.getBoundingClientRect();
+    for (let parent = element.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+      const style = getComputedStyle(parent);
+      if (/hidden|clip|auto|scroll/.test(style.overflowX)) {
+        const bounds = parent.getBoundingClientRect();
+        if (rect.right > bounds.right + 1 || rect.left < bounds.left - 1) {
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+
+  const regionsVisible = Object.fromEntries(Object.entries(regions).map(([name, selector]) =>
+    [name, Array.from(document.querySelectorAll(selector)).some(isShown)]));
+
+  const elements = Array.from(document.body.querySelectorAll('*')).filter(element => isShown(element) && !isClipped(element));
+
+  const sticksOut = rect => rect.right > viewportWidth + 1 && rect.left < viewportWidth;
+  const isOffscreen = rect => rect.right <= 0 || rect.left >= viewportWidth;
+  const parentRect = element => element.parentElement.getBoundingClientRect();
+
+  // Report the outermost element that sticks out or sits off-screen, not every descendant
+  const overflowing = elements.filter(element => sticksOut(element.getBoundingClientRect()) && !sticksOut(parentRect(element)));
+  const offscreen = elements.filter(element => isOffscreen(element.getBoundingClientRect()) && !isOffscreen(parentRect(element)));
+
+  // Leaf content that should never sit on top of other content
+  const content = elements.filter(element => element.matches('a, button, input, select, textarea, img, svg, h1, h2, h3, h4, h5, h6, p, li'))
+    .filter(element => !element.querySelector('a, button, input, select, textarea, img, svg, h1, h2, h3, h4, h5, h6, p, li'))
+    .slice(0, 400);
+  const overlaps = [];
+  for (let i = 0; i < content.length && overlaps.length < maxOffenders; i++) {
+    const a = content[i].getBoundingClientRect();
+    for (let j = i + 1; j < content.length && overlaps.length < maxOffenders; j++) {
+      if (content[i].contains(content[j]) || content[j].contains(content[i])) {
+        continue;
+      }
+      const b = content[j].getBoundingClientRect();
+      const width = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+      const height = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+      // Ignore touching edges and small overlaps from negative margins or icon badges
+      if (width > 4 && height > 4 && width * height > 0.25 * Math.min(a.width * a.height, b.width * b.height)) {
+        overlaps.push({ a: describe(content[i]), b: describe(content[j]), area: Math.round(width * height) });
+      }
+    }
+  }
+
+  return {
+    viewportWidth,
+    documentWidth: document.documentElement.scrollWidth,
+    regions: regionsVisible,
+    overflowing: overflowing.slice(0, maxOffenders).map(element => ({
+      selector: describe(element),
+      right: Math.round(element.getBoundingClientRect().right)
+    })),
+    offscreen: offscreen.slice(0, maxOffenders).map(describe),
+    overlaps
+  };
+}
+
+/**
+ * Turn layout reports into human-readable problems
+ * @param {Array} reports - Results of ResponsiveCheck.checkPreviewDevices() or checkPages()
+ * @returns {string[]} Problems, prefixed with the target and size
+ */
+function findLayoutProblems(reports) {
+  return reports.flatMap(report => {
+    const where = `${report.target} @ ${report.width}x${report.height}`;
+    const problems = [];
+
+    Object.entries(report.regions).filter(([, visible]) => !visible)
+      .forEach(([region]) => problems.push(`${where}: ${region} is not visible`));
+
+    if (report.documentWidth > report.viewportWidth + 1) {
+      const culprits = report.overflowing.map(item => item.selector).join(', ') || 'unknown element';
+      problems.push(`${where}: page scrolls horizontally (${report.documentWidth}px > ${report.viewportWidth}px) because of ${culprits}`);
+    }
+    if (report.offscreen.length > 0) {
+      problems.push(`${where}: off-screen elements ${report.offscreen.join(', ')}`);
+    }
+    report.overlaps.forEach(({ a, b }) => problems.push(`${where}: ${a} overlaps ${b}`));
+
+    return problems;
+  });
+}
+
+/**
+ * Responsive checks of the FSI preview and imported pages
+ */
+class ResponsiveCheck {
+  constructor(page, config = getConfig()) {
+    this.page = page;
+    this.config = config;
+  }
+
+  /**
+   * Audit a frame or page
+   */
+  async audit(target) {
+    return target.evaluate(auditLayout, { regions: LAYOUT_REGIONS, maxOffenders: MAX_OFFENDERS });
+  }
+
+  /**
+   * Switch the FSI preview through its device toggles and audit each size
+   * @param {string[]} devices - Devices to check (defaults to responsive.devices)
+   * @returns {Promise<Array>} One layout report per device
+   */
+  async checkPreviewDevices(devices = this.config.responsive.devices.split(',')) {
+    const reports = [];
+    const iframeElement = this.page.locator('.fsi-preview-iframe');
+
+    for (const device of devices) {
+      const toggle = this.page.locator(PREVIEW_DEVICE_TOGGLES[device]).first();
+      if (await toggle.count() === 0) {
+        throw new Error(`Preview has no ${device} toggle (${PREVIEW_DEVICE_TOGGLES[device]})`);
+      }
+
+      await toggle.click();
+      // The iframe is resized with a CSS transition
+      await this.page.waitForTimeout(this.config.timeouts.searchSettle);
+
+      const frame = await (await iframeElement.elementHandle()).contentFrame();
+      await frame.waitForLoadState('load');
+      const { width, height } = await iframeElement.boundingBox();
+      reports.push({ target: `preview:${device}`, width: Math.round(width), height: Math.round(height), ...await this.audit(frame) });
+      console.log(`📱 Checked preview at ${device} (${Math.round(width)}x${Math.round(height)})`);
+    }
+
+    return reports;
+  }
+
+  /**
+   * Render pages at every breakpoint in a separate tab and audit each size
+   * @param {string[]} urls - Absolute page URLs, e.g. the `link` of manifest pages
+   * @param {Array<{width: number, height: number}>} breakpoints - Sizes (defaults to responsive.breakpoints)
+   * @returns {Promise<Array>} One layout report per page and breakpoint
+   */
+  async checkPages(urls, breakpoints = parseBreakpoints(this.config.responsive.breakpoints)) {
+    const reports = [];
+    const tab = await this.page.context().newPage();
+
+    try {
+      for (const { width, height } of breakpoints) {
+        await tab.setViewportSize({ width, height });
+
+        for (const url of urls) {
+          await tab.goto(url, { waitUntil: 'load' });
+          reports.push({ target: url, width, height, ...await this.audit(tab) });
+        }
+
+        console.log(`📐 Checked ${urls.length} page(s) at ${width}x${height}`);
+      }
+    } finally {
+      await tab.close();
+    }
+
+    return reports;
+  }
+}
+
+module.exports = {
+  ResponsiveCheck,
+  findLayoutProblems,
+  parseBreakpoints
+};
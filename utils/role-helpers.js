@@ -0,0 +1,283 @@
+/**
+ * Role and Permission Helper Functions for Playwright Tests
+ *
+ * This module provides utilities for provisioning WordPress users per role
+ * and probing which Templately admin pages and actions each role can reach.
+ */
+
+const { ROLE_CREDENTIALS, getRoleCredentials } = require('./auth-state');
+const { TemplatelyAuth, TemplatelyNavigation } = require('./templately-helpers');
+const { getConfig, getSitePages } = require('./config');
+
+/**
+ * Expected access per role
+ * `true` must be reachable, `false` must be blocked, `null` is reported but not enforced.
+ */
+const PERMISSION_MATRIX = {
+  admin: { dashboard: true, library: true, settings: true, fsiImport: true, aiImport: true },
+  editor: { dashboard: null, library: null, settings: false, fsiImport: false, aiImport: false },
+  author: { dashboard: null, library: null, settings: false, fsiImport: false, aiImport: false },
+  contributor: { dashboard: null, library: null, settings: false, fsiImport: false, aiImport: false },
+  subscriber: { dashboard: null, library: null, settings: false, fsiImport: false, aiImport: false }
+};
+
+/**
+ * WordPress User Provisioning
+ */
+class RoleProvisioner {
+  constructor(page, config = getConfig()) {
+    this.page = page;
+    this.config = config;
+  }
+
+  /**
+   * Create the test user for a role, or reset its role and password if it already exists
+   * Must be called from an administrator session.
+   * @param {string} role - Role key from ROLE_CREDENTIALS
+   */
+  async provisionRoleUser(role) {
+    const { wpRole, username, password } = getRoleCredentials(role);
+
+    await this.page.goto(`/wp-admin/users.php?s=${encodeURIComponent(username)}`);
+    const existingUser = this.page.locator(`#the-list .username a:text-is("${username}")`);
+
+    if (await existingUser.count() > 0) {
+      await existingUser.first().click();
+      await this.page.waitForSelector('#your-profile', { timeout: this.config.timeouts.pageLoad });
+
+      await this.page.selectOption('#role', wpRole);
+      await this.page.click('.wp-generate-pw');
+      await this.page.fill('#pass1', password);
+      await this.page.click('#submit');
+      await this.page.waitForSelector('#message.updated, .notice-success', { timeout: this.config.timeouts.pageLoad });
+
+      console.log(`✅ Reset existing ${wpRole} user: ${username}`);
+      return;
+    }
+
+    await this.page.goto('/wp-admin/user-new.php');
+    await this.page.fill('#user_login', username);
+    await this.page.fill('#email', `${username}@example.com`);
+    await this.page.fill('#pass1', password);
+    await this.page.selectOption('#role', wpRole);
+
+    const sendNotification = this.page.locator('#send_user_notification');
+    if (await sendNotification.isChecked()) {
+      await sendNotification.uncheck();
+    }
+
+    await this.page.click('#createusersub');
+    await this.page.waitForURL(/users\.php/, { timeout: this.config.timeouts.pageLoad });
+
+    console.log(`✅ Created ${wpRole} user: ${username}`);
+  }
+
+  /**
+   * Provision users for every non-admin role
+   * @param {Array<string>} roles - Role keys to provision
+   */
+  async provisionAllRoles(roles = Object.keys(ROLE_CREDENTIALS).filter(role => role !== 'admin')) {
+    for (const role of roles) {
+      await this.provisionRoleUser(role);
+    }
+  }
+}
+
+/**
+ * Templately Permission Probing
+ */
+class PermissionProbe {
+  constructor(page, role, config = getConfig()) {
+    this.page = page;
+    this.role = role;
+    this.config = config;
+    this.auth = new TemplatelyAuth(page, role, config);
+    this.navigation = new TemplatelyNavigation(page, config);
+  }
+
+  /**
+   * Check whether an admin URL renders for the current user
+   * @param {string} url - wp-admin URL
+   * @param {string} readySelector - Selector that proves the page rendered
+   * @returns {boolean} True if the page is reachable
+   */
+  async canReachPage(url, readySelector) {
+    const response = await this.page.goto(url);
+
+    // wp_die() renders "Sorry, you are not allowed to access this page." with body#error-page
+    if (!response || response.status() >= 400 || await this.page.locator('#error-page').isVisible()) {
+      return false;
+    }
+
+    if (this.page.url().includes('wp-login.php')) {
+      return false;
+    }
+
+    return await this.page.locator(readySelector).first().isVisible();
+  }
+
+  /**
+   * Try to open an import modal even when its start button is hidden
+   * Dispatches the click directly, the way a script on the page could.
+   * @param {string} buttonSelector - Start button selector
+   * @param {string} modalSelector - Selector of the modal the button opens
+   * @returns {Promise<boolean>} True if the modal opened
+   */
+  async canOpenModal(buttonSelector, modalSelector) {
+    const button = this.page.locator(buttonSelector).first();
+    if (await button.count() === 0) {
+      return false;
+    }
+
+    try {
+      await button.dispatchEvent('click');
+      await this.page.waitForSelector(modalSelector, { timeout: this.config.timeouts.elementWait });
+      return true;
+    } catch {
+      return false;
+    } finally {
+      await this.navigation.closeModals();
+    }
+  }
+
+  /**
+   * Fail unless an import REST route is registered
+   * OPTIONS returns the route's schema without running its callback or permission check,
+   * so a wrong permissions.*ImportRoute cannot pass as a refusal.
+   * @param {string} route - Route below /wp-json
+   */
+  async assertRouteRegistered(route) {
+    const response = await this.page.request.fetch(`/wp-json/${route}`, { method: 'OPTIONS', failOnStatusCode: false });
+    const body = await response.json().catch(() => null);
+
+    if (response.status() === 404 && body && body.code === 'rest_no_route') {
+      throw new Error(`Import route /wp-json/${route} is not registered; set permissions.fsiImportRoute or permissions.aiImportRoute to the route Templately uses`);
+    }
+  }
+
+  /**
+   * Call an import REST route with the current user's nonce
+   * Only for roles that must be refused: the request names a pack that does not exist,
+   * but a role the route accepts could still start work. Only 401 and 403 count as refused.
+   * @param {string} route - Route below /wp-json
+   * @returns {Promise<{status: number, code: string|null, accepted: boolean}>}
+   */
+  async callImportEndpoint(route) {
+    await this.assertRouteRegistered(route);
+
+    // Core returns the wp_rest nonce of the logged-in user, or 0
+    const nonceResponse = await this.page.request.get('/wp-admin/admin-ajax.php?action=rest-nonce');
+    const nonce = nonceResponse.ok() ? (await nonceResponse.text()).trim() : '';
+
+    const response = await this.page.request.post(`/wp-json/${route}`, {
+      headers: { 'X-WP-Nonce': nonce },
+      data: { pack_id: 'templately-permission-probe' },
+      failOnStatusCode: false
+    });
+    const body = await response.json().catch(() => null);
+    const status = response.status();
+
+    return { status, code: (body && body.code) || null, accepted: status !== 401 && status !== 403 };
+  }
+
+  /**
+   * Probe every Templately surface for the current role
+   * An import counts as reachable if its button shows, its modal opens, or its endpoint accepts the role.
+   * Roles allowed to import are not sent to the endpoints, which would start real (and billed) work;
+   * only the route's registration is checked for them.
+   * @returns {Object} Access flags keyed like PERMISSION_MATRIX entries, with the paths tried in `importPaths`
+   */
+  async probe() {
+    console.log(`🔍 Probing Templately access for role: ${this.role}`);
+
+    const fsiButton = '.fsi-import-button';
+    const aiButton = '.build-with-ai-button, [data-action="start-ai-workflow"]';
+    const access = {
+      dashboard: false,
+      library: await this.canReachPage(getSitePages(this.config).library, '.wp-list-table'),
+      settings: await this.canReachPage(getSitePages(this.config).settings, '.templately-admin-page form, #wpbody-content form'),
+      fsiImport: false,
+      aiImport: false,
+      importPaths: {
+        fsiImport: { button: false, modal: false },
+        aiImport: { button: false, modal: false }
+      }
+    };
+
+    try {
+      await this.auth.navigateToTemplately();
+      access.dashboard = true;
+    } catch {
+      console.log(`🚫 ${this.role} cannot open the Templately dashboard`);
+    }
+
+    if (access.dashboard) {
+      try {
+        await this.navigation.goToCloudTemplates();
+      } catch {
+        console.log(`ℹ️  ${this.role} cannot open cloud templates`);
+      }
+
+      access.importPaths.fsiImport.button = await this.page.locator(fsiButton).first().isVisible();
+      access.importPaths.aiImport.button = await this.page.locator(aiButton).first().isVisible();
+      access.importPaths.fsiImport.modal = await this.canOpenModal(fsiButton, '.fsi-modal');
+      access.importPaths.aiImport.modal = await this.canOpenModal(aiButton, '.ai-conversation-container');
+    }
+
+    // Hidden buttons are not enough: the endpoints must refuse the role too
+    const routes = { fsiImport: this.config.permissions.fsiImportRoute, aiImport: this.config.permissions.aiImportRoute };
+    for (const [capability, route] of Object.entries(routes)) {
+      if ((PERMISSION_MATRIX[this.role] || {})[capability] === true) {
+        await this.assertRouteRegistered(route);
+        access.importPaths[capability].endpoint = { status: null, code: null, accepted: null, skipped: 'would start an import' };
+      } else {
+        access.importPaths[capability].endpoint = await this.callImportEndpoint(route);
+      }
+    }
+
+    ['fsiImport', 'aiImport'].forEach(capability => {
+      const { button, modal, endpoint } = access.importPaths[capability];
+      access[capability] = button || modal || endpoint.accepted === true;
+    });
+
+    return access;
+  }
+}
+
+/**
+ * Compare probed access against the expected matrix
+ * @param {string} role - Role key
+ * @param {Object} access - Result of PermissionProbe.probe()
+ * @returns {Array<string>} Human-readable violations
+ */
+function findPermissionViolations(role, access) {
+  const expected = PERMISSION_MATRIX[role] || {};
+
+  return Object.entries(expected)
+    .filter(([capability, allowed]) => allowed !== null && access[capability] !== allowed)
+    .map(([capability, allowed]) => `${role} ${allowed ? 'cannot reach' : 'can reach'} ${capability}`);
+}
+
+/**
+ * Render probed access as a Markdown table
+ * @param {Object} results - Access flags keyed by role
+ * @returns {string} Markdown table
+ */
+function formatPermissionTable(results) {
+  const capabilities = ['dashboard', 'library', 'settings', 'fsiImport', 'aiImport'];
+  const header = `| Role | ${capabilities.join(' | ')} |`;
+  const divider = `| --- | ${capabilities.map(() => '---').join(' | ')} |`;
+  const rows = Object.entries(results).map(([role, access]) =>
+    `| ${role} | ${capabilities.map(capability => access[capability] ? '✅' : '❌').join(' | ')} |`
+  );
+
+  return [header, divider, ...rows].join('\n');
+}
+
+module.exports = {
+  PERMISSION_MATRIX,
+  RoleProvisioner,
+  PermissionProbe,
+  findPermissionViolations,
+  formatPermissionTable
+};
@@ -6,21 +6,38 @@
  */
 
 const { expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const { getRoleCredentials, getStorageStatePath } = require('./auth-state');
+const { getConfig } = require('./config');
+const { getDashboardPath } = require('./platform-helpers');
 
 /**
  * WordPress and Templately Authentication
  */
 class TemplatelyAuth {
-  constructor(page) {
+  constructor(page, role = 'admin', config = getConfig()) {
     this.page = page;
+    this.role = role;
+    this.config = config;
   }
 
   /**
    * Login to WordPress admin
-   * @param {string} username - WordPress username
-   * @param {string} password - WordPress password
+   *
+   * Tests normally start with the role's saved storage state, so this only
+   * submits the login form when that session has expired. A fresh login is
+   * written back to the storage state file for the tests that follow.
+   *
+   * @param {string} username - WordPress username (defaults to the role's user)
+   * @param {string} password - WordPress password (defaults to the role's password)
    */
-  async loginToWordPress(username = 'admin', password = 'password') {
+  async loginToWordPress(username, password) {
+    const selectors = this.config.selectors.login;
+    const credentials = getRoleCredentials(this.role);
+    username = username || credentials.username;
+    password = password || credentials.password;
+
     await this.page.goto('/wp-admin');
 
     // Check if already logged in
@@ -31,21 +48,31 @@ class TemplatelyAuth {
     }
 
     // Fill login form
-    await this.page.fill('#user_login', username);
-    await this.page.fill('#user_pass', password);
-    await this.page.click('#wp-submit');
+    await this.page.fill(selectors.username, username);
+    await this.page.fill(selectors.password, password);
+    await this.page.check(selectors.rememberMe);
+    await this.page.click(selectors.submit);
 
     // Wait for dashboard
-    await this.page.waitForSelector('#wpadminbar', { timeout: 10000 });
+    await this.page.waitForSelector('#wpadminbar', { timeout: this.config.timeouts.pageLoad });
     console.log('✅ Successfully logged into WordPress');
+
+    // Refresh the shared session so later tests skip the login form again
+    if (username === credentials.username) {
+      const statePath = getStorageStatePath(this.role);
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      await this.page.context().storageState({ path: statePath });
+      console.log(`💾 Refreshed ${this.role} session: ${statePath}`);
+    }
   }
 
   /**
-   * Navigate to Templately admin page
+   * Navigate to the Templately packs for the configured builder platform (platform.builder)
+   * @param {string} siteUrl - Absolute site URL on multisite networks (defaults to baseURL)
    */
-  async navigateToTemplately() {
-    await this.page.goto('/wp-admin/admin.php?page=templately');
-    await this.page.waitForSelector('.templately-admin-page', { timeout: 15000 });
+  async navigateToTemplately(siteUrl = '') {
+    await this.page.goto(`${siteUrl}${getDashboardPath(this.config)}`);
+    await this.page.waitForSelector('.templately-admin-page', { timeout: this.config.timeouts.templatelyLoad });
     console.log('✅ Navigated to Templately admin page');
   }
 
@@ -69,8 +96,9 @@ class TemplatelyAuth {
  * Templately Navigation and UI Helpers
  */
 class TemplatelyNavigation {
-  constructor(page) {
+  constructor(page, config = getConfig()) {
     this.page = page;
+    this.config = config;
   }
 
   /**
@@ -78,7 +106,7 @@ class TemplatelyNavigation {
    */
   async goToTemplateLibrary() {
     await this.page.click('[data-tab="my-library"]');
-    await this.page.waitForSelector('.templately-template-grid', { timeout: 10000 });
+    await this.page.waitForSelector('.templately-template-grid', { timeout: this.config.timeouts.modal });
     console.log('✅ Navigated to template library');
   }
 
@@ -87,7 +115,7 @@ class TemplatelyNavigation {
    */
   async goToCloudTemplates() {
     await this.page.click('[data-tab="cloud-library"]');
-    await this.page.waitForSelector('.templately-cloud-templates', { timeout: 10000 });
+    await this.page.waitForSelector('.templately-cloud-templates', { timeout: this.config.timeouts.modal });
     console.log('✅ Navigated to cloud templates');
   }
 
@@ -98,7 +126,7 @@ class TemplatelyNavigation {
   async openTemplatePreview(templateId) {
     const templateSelector = `[data-template-id="${templateId}"], .template-item:has-text("${templateId}")`;
     await this.page.click(templateSelector);
-    await this.page.waitForSelector('.templately-preview-modal', { timeout: 10000 });
+    await this.page.waitForSelector('.templately-preview-modal', { timeout: this.config.timeouts.modal });
     console.log(`✅ Opened template preview for: ${templateId}`);
   }
 
@@ -127,8 +155,9 @@ class TemplatelyNavigation {
  * Template Management Helpers
  */
 class TemplateManager {
-  constructor(page) {
+  constructor(page, config = getConfig()) {
     this.page = page;
+    this.config = config;
   }
 
   /**
@@ -138,7 +167,7 @@ class TemplateManager {
   async searchTemplates(searchTerm) {
     await this.page.fill('.templately-search-input', searchTerm);
     await this.page.press('.templately-search-input', 'Enter');
-    await this.page.waitForTimeout(2000); // Wait for search results
+    await this.page.waitForTimeout(this.config.timeouts.searchSettle); // Wait for search results
     console.log(`✅ Searched for templates: ${searchTerm}`);
   }
 
@@ -148,7 +177,7 @@ class TemplateManager {
    */
   async filterByCategory(category) {
     await this.page.click(`[data-category="${category}"]`);
-    await this.page.waitForTimeout(2000);
+    await this.page.waitForTimeout(this.config.timeouts.searchSettle);
     console.log(`✅ Filtered templates by category: ${category}`);
   }
 
@@ -167,9 +196,18 @@ class TemplateManager {
    * @returns {string} Template ID or name
    */
   async selectFirstTemplate() {
-    const firstTemplate = this.page.locator('.template-item').first();
-    const templateName = await firstTemplate.getAttribute('data-template-name') || 'Unknown';
-    await firstTemplate.click();
+    return this.selectTemplateAt(0);
+  }
+
+  /**
+   * Select the template at a position in the visible list
+   * @param {number} index - Zero-based position
+   * @returns {string} Template ID or name
+   */
+  async selectTemplateAt(index) {
+    const template = this.page.locator('.template-item').nth(index);
+    const templateName = await template.getAttribute('data-template-name') || 'Unknown';
+    await template.click();
     console.log(`✅ Selected template: ${templateName}`);
     return templateName;
   }
@@ -0,0 +1,200 @@
+/**
+ * Progress Timeline Recorder for Import and AI Generation Tests
+ *
+ * This module records every progress change and stage label seen while
+ * polling an import or AI generation, flags stalls, checks per-stage
+ * performance budgets and renders the timeline as an SVG chart.
+ */
+
+const { getConfig } = require('./config');
+
+const STAGE_COLORS = ['#2271b1', '#00a32a', '#dba617', '#8c5383', '#d63638', '#3582c4'];
+
+/**
+ * Timeline of stages, progress events and stalls
+ */
+class ProgressTimeline {
+  constructor(name, config = getConfig()) {
+    this.name = name;
+    this.stallMs = config.performance.stallSeconds * 1000;
+    this.startedAt = Date.now();
+    this.stages = [];
+    this.events = [];
+    this.stalls = [];
+    this.currentStage = null;
+    this.currentStall = null;
+    this.lastChangeAt = this.startedAt;
+  }
+
+  /**
+   * Milliseconds since the timeline started
+   */
+  elapsed() {
+    return Date.now() - this.startedAt;
+  }
+
+  /**
+   * Start a named stage, ending the current one
+   * @param {string} stage - Stage name, e.g. 'dependency-install'
+   */
+  startStage(stage) {
+    this.endStage();
+    this.currentStage = { stage, start: this.elapsed(), end: null };
+    this.stages.push(this.currentStage);
+    this.lastChangeAt = Date.now();
+  }
+
+  /**
+   * End the current stage
+   */
+  endStage() {
+    if (!this.currentStage) {
+      return;
+    }
+
+    this.currentStage.end = this.elapsed();
+    this.closeStall();
+    this.currentStage = null;
+  }
+
+  /**
+   * Record a progress reading; only changes are stored
+   * @param {number|null} reading - Progress percentage; NaN is stored as null (unknown)
+   * @param {string|null} label - Stage label shown in the UI
+   */
+  record(reading, label = null) {
+    // NaN !== NaN would make every unreadable poll look like a change
+    const progress = Number.isNaN(reading) ? null : reading;
+    const stage = this.currentStage ? this.currentStage.stage : null;
+    const last = this.events[this.events.length - 1];
+
+    if (!last || last.stage !== stage || last.progress !== progress || last.label !== label) {
+      this.events.push({ t: this.elapsed(), stage, progress, label });
+      this.lastChangeAt = Date.now();
+      this.closeStall();
+      return;
+    }
+
+    if (!this.currentStall && Date.now() - this.lastChangeAt >= this.stallMs) {
+      this.currentStall = { stage, progress, label, start: this.lastChangeAt - this.startedAt, end: null };
+      this.stalls.push(this.currentStall);
+      console.warn(`⏸️  ${this.name} stalled at ${progress}%${label ? ` (${label})` : ''} for ${Math.round(this.stallMs / 1000)}s`);
+    }
+  }
+
+  closeStall() {
+    if (this.currentStall) {
+      this.currentStall.end = this.elapsed();
+      this.currentStall = null;
+    }
+  }
+
+  /**
+   * Get how long each stage took
+   * @returns {Object} Map of stage name to milliseconds (summed if a stage ran more than once)
+   */
+  getStageDurations() {
+    const durations = {};
+    this.stages.forEach(({ stage, start, end }) => {
+      durations[stage] = (durations[stage] || 0) + ((end === null ? this.elapsed() : end) - start);
+    });
+    return durations;
+  }
+
+  /**
+   * Compare stage durations with a budget
+   * @param {Object} budgets - Map of stage name to seconds; stages that did not run are ignored
+   * @returns {Array<{stage: string, budgetMs: number, actualMs: number}>} Stages over budget
+   */
+  findBudgetViolations(budgets = {}) {
+    const durations = this.getStageDurations();
+
+    return Object.entries(budgets)
+      .filter(([stage, seconds]) => stage in durations && durations[stage] > seconds * 1000)
+      .map(([stage, seconds]) => ({ stage, budgetMs: seconds * 1000, actualMs: durations[stage] }));
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      startedAt: new Date(this.startedAt).toISOString(),
+      stallThresholdMs: this.stallMs,
+      durations: this.getStageDurations(),
+      stages: this.stages,
+      events: this.events,
+      stalls: this.stalls
+    };
+  }
+
+  /**
+   * Render the timeline as an SVG chart: one bar per stage, the progress line and stalls
+   * @returns {string} SVG markup
+   */
+  renderChart() {
+    const width = 900;
+    const left = 160;
+    const rowHeight = 22;
+    const plotHeight = 160;
+    const total = Math.max(this.elapsed(), 1);
+    const x = t => left + (t / total) * (width - left - 20);
+    const stagesTop = 30;
+    const plotTop = stagesTop + this.stages.length * rowHeight + 30;
+    const height = plotTop + plotHeight + 40;
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+    const stageBars = this.stages.map(({ stage, start, end }, index) => {
+      const y = stagesTop + index * rowHeight;
+      const finish = end === null ? total : end;
+      const color = STAGE_COLORS[index % STAGE_COLORS.length];
+      return `<text x="${left - 8}" y="${y + 15}" text-anchor="end">${escape(stage)}</text>` +
+        `<rect x="${x(start)}" y="${y + 3}" width="${Math.max(x(finish) - x(start), 1)}" height="${rowHeight - 6}" fill="${color}"/>` +
+        `<text x="${x(finish) + 4}" y="${y + 15}">${((finish - start) / 1000).toFixed(1)}s</text>`;
+    });
+
+    const stallRects = this.stalls.map(({ start, end }) =>
+      `<rect x="${x(start)}" y="${plotTop}" width="${Math.max(x(end === null ? total : end) - x(start), 1)}" height="${plotHeight}" fill="#d63638" fill-opacity="0.15"/>`);
+
+    const points = this.events
+      .filter(event => typeof event.progress === 'number' && !Number.isNaN(event.progress))
+      .map(event => `${x(event.t)},${plotTop + plotHeight - (event.progress / 100) * plotHeight}`);
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="12">`,
+      '<rect width="100%" height="100%" fill="#fff"/>',
+      `<text x="10" y="18" font-weight="bold">${escape(this.name)} (${(total / 1000).toFixed(1)}s, ${this.stalls.length} stall(s))</text>`,
+      ...stageBars,
+      ...stallRects,
+      `<rect x="${left}" y="${plotTop}" width="${width - left - 20}" height="${plotHeight}" fill="none" stroke="#c3c4c7"/>`,
+      `<text x="${left - 8}" y="${plotTop + 10}" text-anchor="end">100%</text>`,
+      `<text x="${left - 8}" y="${plotTop + plotHeight}" text-anchor="end">0%</text>`,
+      points.length > 0 ? `<polyline points="${points.join(' ')}" fill="none" stroke="#1d2327" stroke-width="2"/>` : '',
+      `<text x="${left}" y="${height - 12}">0s</text>`,
+      `<text x="${width - 20}" y="${height - 12}" text-anchor="end">${(total / 1000).toFixed(1)}s</text>`,
+      '</svg>'
+    ].join('\n');
+  }
+
+  /**
+   * Attach the timeline JSON and chart to the Playwright report
+   * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+   */
+  async attach(testInfo) {
+    if (this.stages.length === 0) {
+      return;
+    }
+
+    this.endStage();
+    await testInfo.attach(`${this.name}-timeline.json`, {
+      body: JSON.stringify(this, null, 2),
+      contentType: 'application/json'
+    });
+    await testInfo.attach(`${this.name}-timeline.svg`, {
+      body: this.renderChart(),
+      contentType: 'image/svg+xml'
+    });
+  }
+}
+
+module.exports = {
+  ProgressTimeline
+};
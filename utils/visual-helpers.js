@@ -0,0 +1,87 @@
+/**
+ * Visual Regression Helpers for Preview Baselines
+ *
+ * This module resolves the baseline name, masked regions and comparison
+ * thresholds for a template and scenario. Masks and per-template or
+ * per-scenario thresholds are declared under `visualRegression` in
+ * test-business-data.json; the defaults come from the visual.* config.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const testData = require('../data/test-business-data.json');
+
+/**
+ * Turn a template or scenario name into a file-safe slug
+ */
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'default';
+}
+
+/**
+ * Key of a scenario in visualRegression.scenarios: the business scenario ID when the
+ * name matches one in test-business-data.json, otherwise the slugified name
+ */
+function getScenarioKey(scenario) {
+  const scenarios = [...testData.businessScenarios, ...(testData.multilingualScenarios || [])];
+  const match = scenarios.find(entry => entry.id === scenario || entry.name === scenario);
+  return match ? match.id : slugify(scenario);
+}
+
+/**
+ * Key of a template in visualRegression.templates: the pack ID when the ID, slug or
+ * display name (data-template-name) matches a pack in the mock cloud catalog,
+ * otherwise the slugified name
+ */
+function getTemplateKey(template, config = getConfig()) {
+  const catalogPath = path.resolve(__dirname, '..', config.mockCloud.fixtureDir, 'catalog.json');
+  const packs = fs.existsSync(catalogPath) ? JSON.parse(fs.readFileSync(catalogPath, 'utf8')).packs : [];
+  const match = packs.find(pack => pack.id === template || pack.slug === template || pack.name === template);
+  return match ? match.id : slugify(template);
+}
+
+/**
+ * Baseline path segments for toHaveScreenshot(): <template>/<scenario>.png
+ * @param {string} template - Template ID, slug or name
+ * @param {string} scenario - Scenario ID or name
+ * @param {Object} config - Test configuration
+ * @returns {string[]} Name segments, resolved below visual.baselineDir/<project>
+ */
+function getBaselineName(template, scenario = 'default', config = getConfig()) {
+  return [getTemplateKey(template, config), `${getScenarioKey(scenario)}.png`];
+}
+
+/**
+ * Resolve masks and thresholds for a comparison
+ * Masks add up: common masks, AI masks for AI-generated previews, then the template's and
+ * the scenario's. Thresholds come from config, overridden by the template, then the scenario.
+ * @param {Object} options - Comparison target
+ * @param {string} options.template - Template ID, slug or name
+ * @param {string} options.scenario - Scenario ID or name
+ * @param {boolean} options.ai - Whether the preview shows AI-generated content
+ * @param {Object} config - Test configuration
+ * @returns {{masks: string[], threshold: number, maxDiffPixelRatio: number}}
+ */
+function resolveVisualOptions({ template, scenario = 'default', ai = false }, config = getConfig()) {
+  const declared = testData.visualRegression || {};
+  const templateEntry = (declared.templates || {})[getTemplateKey(template, config)] || {};
+  const scenarioEntry = (declared.scenarios || {})[getScenarioKey(scenario)] || {};
+
+  return {
+    masks: [
+      ...(declared.masks || []),
+      ...(ai ? declared.aiMasks || [] : []),
+      ...(templateEntry.masks || []),
+      ...(scenarioEntry.masks || [])
+    ],
+    threshold: scenarioEntry.threshold ?? templateEntry.threshold ?? config.visual.threshold,
+    maxDiffPixelRatio: scenarioEntry.maxDiffPixelRatio ?? templateEntry.maxDiffPixelRatio ?? config.visual.maxDiffPixelRatio
+  };
+}
+
+module.exports = {
+  getBaselineName,
+  resolveVisualOptions
+};
@@ -0,0 +1,39 @@
+/**
+ * WP-CLI Runner for Playwright Tests
+ *
+ * This module runs WP-CLI on the machine running the tests against the
+ * configured WordPress install (snapshot.wpCli and snapshot.wpPath).
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { getConfig } = require('./config');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run a WP-CLI command
+ * @param {string[]} args - WP-CLI arguments
+ * @param {Object} options - Options
+ * @param {string} options.url - Site URL passed as --url (defaults to the site under test)
+ * @param {Object} options.config - Test configuration
+ * @returns {Promise<string>} Trimmed stdout
+ */
+async function runWpCli(args, { url, config = getConfig() } = {}) {
+  const siteUrl = url || (config.multisite.enabled ? config.multisite.testSiteUrl : config.wordpress.baseUrl);
+  const globalArgs = [`--url=${siteUrl}`];
+  if (config.snapshot.wpPath) {
+    globalArgs.push(`--path=${config.snapshot.wpPath}`);
+  }
+
+  try {
+    const { stdout } = await execFileAsync(config.snapshot.wpCli, [...args, ...globalArgs], { maxBuffer: 256 * 1024 * 1024 });
+    return stdout.trim();
+  } catch (error) {
+    throw new Error(`WP-CLI command failed: wp ${args.join(' ')}\n${error.stderr || error.message}`);
+  }
+}
+
+module.exports = {
+  runWpCli
+};
@@ -0,0 +1,306 @@
+/**
+ * WordPress REST API Helpers for Playwright Tests
+ *
+ * This module creates an application password during setup and uses it to
+ * query what an import actually created in WordPress: pages, posts, menus,
+ * Templately and Elementor templates, media, the front page and the site logo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { request } = require('@playwright/test');
+const { getConfig } = require('./config');
+const { getRoleCredentials } = require('./auth-state');
+
+/**
+ * Get the file holding the saved application password
+ * @param {Object} config - Test configuration
+ * @returns {string} Path to the credentials JSON file
+ */
+function getApplicationPasswordPath(config = getConfig()) {
+  return path.join(config.auth.stateDir, 'application-password.json');
+}
+
+/**
+ * Read the saved application password, if any
+ * @param {Object} config - Test configuration
+ * @returns {{username: string, password: string}|null}
+ */
+function readApplicationPassword(config = getConfig()) {
+  const credentialsPath = getApplicationPasswordPath(config);
+  if (!fs.existsSync(credentialsPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Authenticated WordPress REST API client
+ */
+class WordPressRestClient {
+  constructor(apiContext, config = getConfig()) {
+    this.api = apiContext;
+    this.config = config;
+  }
+
+  /**
+   * Create a client authenticated with the saved application password
+   * @param {string} siteUrl - Site URL (defaults to wordpress.baseUrl)
+   * @param {Object} config - Test configuration
+   * @returns {Promise<WordPressRestClient|null>} Client, or null if no application password is saved
+   */
+  static async create(siteUrl, config = getConfig()) {
+    const credentials = readApplicationPassword(config);
+    if (!credentials) {
+      return null;
+    }
+
+    const token = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+    const apiContext = await request.newContext({
+      baseURL: `${siteUrl || config.wordpress.baseUrl}/`,
+      extraHTTPHeaders: { Authorization: `Basic ${token}` },
+      ignoreHTTPSErrors: true,
+      timeout: config.timeouts.networkRequest
+    });
+
+    return new WordPressRestClient(apiContext, config);
+  }
+
+  /**
+   * GET a REST route
+   * @param {string} route - Route below /wp-json, e.g. 'wp/v2/pages'
+   * @param {Object} params - Query parameters
+   * @returns {Promise<{status: number, data: *, headers: Object}>}
+   */
+  async get(route, params = {}) {
+    const response = await this.api.get(`wp-json/${route.replace(/^\//, '')}`, { params });
+    const data = await response.json().catch(() => null);
+    return { status: response.status(), data, headers: response.headers() };
+  }
+
+  /**
+   * GET every page of a collection route
+   * Routes that are not registered (e.g. a post type without show_in_rest) return an empty
+   * list; any other error, such as a 401 from a revoked application password, throws.
+   * @param {string} route - Collection route
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} All items
+   */
+  async getAll(route, params = {}) {
+    const items = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const { status, data, headers } = await this.get(route, { per_page: 100, page, ...params });
+      if (status === 404 && data && data.code === 'rest_no_route') {
+        return items;
+      }
+      if (status < 200 || status >= 300 || !Array.isArray(data)) {
+        throw new Error(`GET /wp-json/${route} failed: ${status} ${(data && data.code) || 'unexpected response'}`);
+      }
+
+      items.push(...data);
+      totalPages = Number(headers['x-wp-totalpages'] || 1);
+      page++;
+    } while (page <= totalPages);
+
+    return items;
+  }
+
+  /**
+   * Capture everything an FSI import can create
+   * @returns {Promise<Object>} Manifest of pages, posts, menus, templates, media, front page and logo
+   */
+  async captureManifest() {
+    const summarize = item => ({
+      id: item.id,
+      title: item.title && item.title.raw !== undefined ? item.title.raw : (item.title && item.title.rendered) || item.name,
+      slug: item.slug,
+      status: item.status
+    });
+
+    const [pages, posts, menus, menuItems, templatelyTemplates, elementorTemplates, media, settings, index] = await Promise.all([
+      this.getAll('wp/v2/pages', { context: 'edit', status: 'any' }),
+      this.getAll('wp/v2/posts', { context: 'edit', status: 'any' }),
+      this.getAll('wp/v2/menus', { context: 'edit' }),
+      this.getAll('wp/v2/menu-items', { context: 'edit' }),
+      this.getAll('wp/v2/templately_library', { context: 'edit', status: 'any' }),
+      this.getAll('wp/v2/elementor_library', { context: 'edit', status: 'any' }),
+      this.getAll('wp/v2/media', { context: 'edit' }),
+      this.get('wp/v2/settings'),
+      this.get('')
+    ]);
+
+    if (settings.status !== 200) {
+      throw new Error(`GET /wp-json/wp/v2/settings failed: ${settings.status} ${(settings.data && settings.data.code) || 'unexpected response'}`);
+    }
+
+    const siteSettings = settings.data;
+    const siteLogoId = siteSettings.site_logo || (index.data && index.data.site_logo) || 0;
+
+    return {
+      pages: pages.map(page => ({ ...summarize(page), link: page.link })),
+      posts: posts.map(summarize),
+      menus: menus.map(menu => ({
+        id: menu.id,
+        name: menu.name,
+        items: menuItems.filter(item => item.menus === menu.id)
+          .map(item => ({ ...summarize(item), object: item.object, objectId: item.object_id }))
+      })),
+      templates: {
+        templately: templatelyTemplates.map(summarize),
+        elementor: elementorTemplates.map(summarize)
+      },
+      media: media.map(item => ({ id: item.id, title: item.title && item.title.raw, mimeType: item.mime_type, url: item.source_url, parent: item.post })),
+      frontPage: {
+        showOnFront: siteSettings.show_on_front,
+        pageOnFront: siteSettings.page_on_front,
+        pageForPosts: siteSettings.page_for_posts
+      },
+      site: {
+        title: siteSettings.title,
+        description: siteSettings.description
+      },
+      siteLogo: {
+        id: siteLogoId,
+        url: (media.find(item => item.id === siteLogoId) || {}).source_url || null
+      }
+    };
+  }
+
+  /**
+   * Find media items whose file is not served
+   * @param {Array<{id: number, url: string}>} media - Media from a manifest
+   * @returns {Promise<Array>} Media items whose URL does not return 200
+   */
+  async findMissingMediaFiles(media) {
+    const missing = [];
+    for (const item of media) {
+      const response = await this.api.head(item.url).catch(() => null);
+      if (!response || !response.ok()) {
+        missing.push(item);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Release the underlying request context
+   */
+  async dispose() {
+    await this.api.dispose();
+  }
+}
+
+/**
+ * Reduce a manifest to the items created since a baseline manifest
+ * @param {Object} before - Manifest captured before the import
+ * @param {Object} after - Manifest captured after the import
+ * @returns {Object} Manifest of new items, plus the final front page, site and logo settings
+ */
+function diffManifests(before, after) {
+  const added = (beforeItems, afterItems) => {
+    const known = new Set(beforeItems.map(item => item.id));
+    return afterItems.filter(item => !known.has(item.id));
+  };
+
+  return {
+    pages: added(before.pages, after.pages),
+    posts: added(before.posts, after.posts),
+    menus: added(before.menus, after.menus),
+    templates: {
+      templately: added(before.templates.templately, after.templates.templately),
+      elementor: added(before.templates.elementor, after.templates.elementor)
+    },
+    media: added(before.media, after.media),
+    frontPage: after.frontPage,
+    site: after.site,
+    siteLogo: after.siteLogo
+  };
+}
+
+/**
+ * Titles that occur more than once
+ * @param {Array<{title: string}>} items - Manifest items
+ * @returns {string[]} Duplicated titles
+ */
+function findDuplicateTitles(items) {
+  const counts = {};
+  items.forEach(item => {
+    counts[item.title] = (counts[item.title] || 0) + 1;
+  });
+  return Object.keys(counts).filter(title => counts[title] > 1);
+}
+
+/**
+ * Find content an interrupted or repeated import left behind twice, and media
+ * attached to posts that no longer exist
+ * @param {Object} before - Manifest captured before the import
+ * @param {Object} after - Manifest captured after the import
+ * @returns {{duplicatePages: string[], duplicateTemplates: string[], orphanMedia: Array}}
+ */
+function findImportResidue(before, after) {
+  const added = diffManifests(before, after);
+
+  const existingIds = new Set([
+    ...after.pages, ...after.posts, ...after.templates.templately, ...after.templates.elementor
+  ].map(item => item.id));
+
+  return {
+    duplicatePages: findDuplicateTitles(added.pages),
+    duplicateTemplates: findDuplicateTitles([...added.templates.templately, ...added.templates.elementor]),
+    orphanMedia: added.media.filter(item => item.parent && !existingIds.has(item.parent))
+  };
+}
+
+/**
+ * Make sure a working application password is saved, creating one from profile.php if needed
+ * @param {import('@playwright/test').Page} page - Page logged in as the admin user
+ * @param {string} siteUrl - Site URL
+ * @param {Object} config - Test configuration
+ */
+async function ensureApplicationPassword(page, siteUrl, config = getConfig()) {
+  const client = await WordPressRestClient.create(siteUrl, config);
+  if (client) {
+    const { status } = await client.get('wp/v2/users/me', { context: 'edit' });
+    await client.dispose();
+
+    if (status === 200) {
+      console.log('✅ Reusing saved application password');
+      return;
+    }
+  }
+
+  console.log('🔑 Creating application password for REST verification...');
+  await page.goto(`${siteUrl}/wp-admin/profile.php`);
+  await page.fill('#new_application_password_name', `templately-playwright-${Date.now()}`);
+  await page.click('#do_new_application_password');
+
+  const passwordField = page.locator('#new-application-password-value');
+  await passwordField.waitFor({ timeout: config.timeouts.pageLoad });
+
+  const credentialsPath = getApplicationPasswordPath(config);
+  fs.mkdirSync(path.dirname(credentialsPath), { recursive: true });
+  fs.writeFileSync(credentialsPath, JSON.stringify({
+    username: getRoleCredentials('admin').username,
+    password: await passwordField.inputValue()
+  }, null, 2));
+
+  console.log(`💾 Application password saved to: ${credentialsPath}`);
+}
+
+module.exports = {
+  WordPressRestClient,
+  diffManifests,
+  findDuplicateTitles,
+  findImportResidue,
+  ensureApplicationPassword,
+  getApplicationPasswordPath,
+  readApplicationPassword
+};
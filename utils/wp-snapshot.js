@@ -0,0 +1,228 @@
+/**
+ * WordPress Snapshot and Restore Helpers for Playwright Tests
+ *
+ * This module uses WP-CLI on the machine running the tests to save the
+ * database and wp-content/uploads before a test and put them back afterwards,
+ * and reports which tables, options and uploaded files changed in between.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+const { runWpCli } = require('./wp-cli');
+
+/**
+ * Recursively list files below a directory with their sizes
+ * @param {string} root - Directory to walk
+ * @returns {Object} Map of relative path to size in bytes
+ */
+function listFiles(root) {
+  const files = {};
+  if (!fs.existsSync(root)) {
+    return files;
+  }
+
+  const walk = dir => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else {
+        files[path.relative(root, fullPath)] = fs.statSync(fullPath).size;
+      }
+    });
+  };
+
+  walk(root);
+  return files;
+}
+
+/**
+ * Compare two key/value maps
+ * @returns {{added: string[], removed: string[], changed: string[]}}
+ */
+function diffMaps(before, after) {
+  return {
+    added: Object.keys(after).filter(key => !(key in before)),
+    removed: Object.keys(before).filter(key => !(key in after)),
+    changed: Object.keys(after).filter(key => key in before && before[key] !== after[key])
+  };
+}
+
+/**
+ * Describe what changed between two captured states
+ * @param {Object} before - State from WordPressSnapshot.captureState()
+ * @param {Object} after - State from WordPressSnapshot.captureState()
+ * @returns {Object} Row count changes per table, and added/removed/changed options and uploads
+ */
+function diffSnapshotStates(before, after) {
+  const tables = Object.keys({ ...before.tables, ...after.tables })
+    .filter(table => before.tables[table] !== after.tables[table])
+    .map(table => ({ table, before: before.tables[table] ?? null, after: after.tables[table] ?? null }));
+
+  return {
+    tables,
+    options: diffMaps(before.options, after.options),
+    uploads: diffMaps(before.uploads, after.uploads)
+  };
+}
+
+/**
+ * Render a snapshot diff as Markdown
+ * @param {Object} diff - Result of diffSnapshotStates()
+ * @returns {string} Markdown report
+ */
+function formatSnapshotDiff(diff) {
+  const list = (title, items) => items.length > 0
+    ? `### ${title}\n\n${items.map(item => `- \`${item}\``).join('\n')}\n`
+    : '';
+
+  const tableRows = diff.tables.map(({ table, before, after }) => `| ${table} | ${before ?? '-'} | ${after ?? '-'} |`);
+
+  return [
+    '# WordPress Changes',
+    '',
+    '## Tables',
+    '',
+    tableRows.length > 0 ? ['| Table | Rows before | Rows after |', '| --- | --- | --- |', ...tableRows].join('\n') : 'No row count changes.',
+    '',
+    '## Options',
+    '',
+    list('Added', diff.options.added),
+    list('Removed', diff.options.removed),
+    list('Changed', diff.options.changed),
+    '## Uploads',
+    '',
+    list('Added', diff.uploads.added),
+    list('Removed', diff.uploads.removed),
+    list('Changed', diff.uploads.changed)
+  ].join('\n');
+}
+
+/**
+ * Database and uploads snapshots driven by WP-CLI
+ */
+class WordPressSnapshot {
+  constructor(config = getConfig()) {
+    this.config = config;
+  }
+
+  /**
+   * Run a WP-CLI command against the configured install
+   * @param {string[]} args - WP-CLI arguments
+   * @returns {Promise<string>} Trimmed stdout
+   */
+  async wp(args) {
+    return runWpCli(args, { config: this.config });
+  }
+
+  /**
+   * Get the snapshot directory for a name
+   */
+  getSnapshotDir(name) {
+    return path.resolve(this.config.snapshot.dir, name);
+  }
+
+  /**
+   * Check whether a snapshot exists
+   */
+  hasSnapshot(name) {
+    return fs.existsSync(path.join(this.getSnapshotDir(name), 'database.sql'));
+  }
+
+  /**
+   * Get the uploads base directory from WordPress
+   */
+  async getUploadsDir() {
+    this.uploadsDir = this.uploadsDir || await this.wp(['eval', 'echo wp_upload_dir()["basedir"];']);
+    return this.uploadsDir;
+  }
+
+  /**
+   * Capture table row counts, options and uploaded files for diffing
+   * @returns {Promise<Object>} State summary
+   */
+  async captureState() {
+    const tableNames = (await this.wp(['db', 'tables', '--all-tables', '--format=csv'])).split(',').filter(Boolean);
+    const countQuery = tableNames.map(table => `SELECT '${table}', COUNT(*) FROM \`${table}\``).join(' UNION ALL ');
+    const tables = {};
+    (await this.wp(['db', 'query', countQuery, '--skip-column-names'])).split('\n').filter(Boolean).forEach(line => {
+      const [table, count] = line.split('\t');
+      tables[table] = Number(count);
+    });
+
+    const options = {};
+    JSON.parse(await this.wp(['option', 'list', '--no-transients', '--fields=option_name,option_value', '--format=json']))
+      .forEach(option => {
+        options[option.option_name] = typeof option.option_value === 'string' ? option.option_value : JSON.stringify(option.option_value);
+      });
+
+    return { tables, options, uploads: listFiles(await this.getUploadsDir()) };
+  }
+
+  /**
+   * Save the database and uploads
+   * @param {string} name - Snapshot name
+   * @returns {Promise<{name: string, dir: string, state: Object}>}
+   */
+  async capture(name) {
+    const dir = this.getSnapshotDir(name);
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+
+    await this.wp(['db', 'export', path.join(dir, 'database.sql')]);
+
+    const uploadsDir = await this.getUploadsDir();
+    if (fs.existsSync(uploadsDir)) {
+      fs.cpSync(uploadsDir, path.join(dir, 'uploads'), { recursive: true });
+    }
+
+    const state = await this.captureState();
+    fs.writeFileSync(path.join(dir, 'state.json'), JSON.stringify(state, null, 2));
+
+    console.log(`📸 WordPress snapshot saved: ${name}`);
+    return { name, dir, state };
+  }
+
+  /**
+   * Read the state recorded with a snapshot
+   */
+  readState(name) {
+    return JSON.parse(fs.readFileSync(path.join(this.getSnapshotDir(name), 'state.json'), 'utf8'));
+  }
+
+  /**
+   * Put the database and uploads back to a snapshot
+   * @param {string} name - Snapshot name
+   */
+  async restore(name) {
+    if (!this.hasSnapshot(name)) {
+      throw new Error(`No WordPress snapshot named "${name}" in ${this.config.snapshot.dir}`);
+    }
+
+    const dir = this.getSnapshotDir(name);
+    await this.wp(['db', 'import', path.join(dir, 'database.sql')]);
+
+    const uploadsDir = await this.getUploadsDir();
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+    if (fs.existsSync(path.join(dir, 'uploads'))) {
+      fs.cpSync(path.join(dir, 'uploads'), uploadsDir, { recursive: true });
+    }
+
+    await this.wp(['cache', 'flush']);
+    console.log(`♻️  WordPress restored from snapshot: ${name}`);
+  }
+
+  /**
+   * Delete a snapshot
+   */
+  discard(name) {
+    fs.rmSync(this.getSnapshotDir(name), { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  WordPressSnapshot,
+  diffSnapshotStates,
+  formatSnapshotDiff
+};
@@ -0,0 +1,45 @@
+/**
+ * WordPress State Helper Functions for Playwright Tests
+ *
+ * This module provides utilities for capturing the parts of a WordPress site
+ * an import changes, so tests can compare the site before and after.
+ */
+
+const { getConfig, getSitePages } = require('./config');
+
+/**
+ * WordPress Site State Capture
+ */
+class WordPressState {
+  constructor(page, config = getConfig()) {
+    this.page = page;
+    this.config = config;
+  }
+
+  /**
+   * Capture the parts of a site an FSI import would change
+   * @param {string} siteUrl - Absolute site URL on multisite networks (defaults to baseURL)
+   * @returns {Object} Page count and most recent titles, library count and reading settings
+   */
+  async captureSiteState(siteUrl = '') {
+    await this.page.goto(`${siteUrl}/wp-admin/edit.php?post_type=page&post_status=all&orderby=date&order=desc`);
+    const pageTotal = (await this.page.locator('.tablenav.top .displaying-num').textContent().catch(() => '0')).trim();
+    const recentPages = (await this.page.locator('#the-list .row-title').allTextContents()).map(title => title.trim());
+
+    await this.page.goto(`${siteUrl}${getSitePages(this.config).library}&post_status=all`);
+    const templates = await this.page.locator('#the-list tr:not(.no-items)').count();
+
+    await this.page.goto(`${siteUrl}/wp-admin/options-reading.php`);
+    const showOnFront = await this.page.locator('input[name="show_on_front"]:checked').getAttribute('value');
+    const pageOnFront = await this.page.locator('#page_on_front').inputValue();
+
+    await this.page.goto(`${siteUrl}/wp-admin/options-general.php`);
+    const blogname = await this.page.locator('#blogname').inputValue();
+
+    return { siteUrl, blogname, pageTotal, recentPages, templates, showOnFront, pageOnFront };
+  }
+}
+
+module.exports = {
+  WordPressState
+};